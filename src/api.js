@@ -12,32 +12,84 @@
      * @param {function} callback - Optional callback function that is called after the API was retrieved, to which you may pass three parameters: a potential error (null if no problem), the API object, and the XMLHttpRequest
      * @param {string} accessToken - The optional accessToken for the OAuth2 connection
      * @param {function} maybeRequestHandler - The kit knows how to handle the HTTP request in Node.js and in the browser (with Ajax); you will need to pass a maybeRequestHandler if you're in another JS environment
-     * @returns {Api} - The Api object that can be manipulated
+     * @param {ApiCache} maybeApiCache - The optional cache for the /api document: an ApiCache, or a storage with get, set, remove and clear methods like Prismic.Cache.LRUCache, Prismic.Cache.LocalStorageCache or Prismic.Cache.FileSystemCache
+     * @param {object} maybeRequestOptions - The optional options passed to the request handler: timeout (in milliseconds), headers (extra HTTP headers), and signal (an AbortSignal to abort the requests);
+     * and retry, to retry the requests that fail because of a transient problem (true for the default retry policy, or an object overriding some of its fields, see RETRY_POLICY);
+     * and for the /api document: apiTtl (how long it is cached, in seconds, 5 by default, 0 to fetch it on every call), staleWhileRevalidate (once expired, serve it right away while refreshing it in the background)
+     * and staleIfError (once expired, serve it if the refresh fails); both stale options take true, or for how many seconds after the expiration the document may be served;
+     * and queryCache, to keep the search results apart from the /api document, so many queries can't evict it; by default they go to maybeApiCache,
+     * or without it, to an in-memory Prismic.Cache.LRUCache of 100 entries shared by all the Api objects
+     * @returns {Api|Promise} - The Api object that can be manipulated, or a Promise of it if no callback was given and Promises are available
      */
-    var prismic = function(url, callback, accessToken, maybeRequestHandler, maybeApiCache) {
-        var api = new prismic.fn.init(url, accessToken, maybeRequestHandler, maybeApiCache);
+    var prismic = function(url, callback, accessToken, maybeRequestHandler, maybeApiCache, maybeRequestOptions) {
+        var api = new prismic.fn.init(url, accessToken, maybeRequestHandler, maybeApiCache, maybeRequestOptions);
+        if (typeof callback != 'function' && typeof Promise != 'undefined') {
+            return api.get();
+        }
         callback && api.get(callback);
         return api;
     };
     // note that the prismic variable is later affected as "Api" while exporting
 
+    /**
+     * Runs an asynchronous operation either in callback mode, or in Promise mode if no callback was given.
+     * In Promise mode, the Promise is resolved with the second parameter passed to the callback,
+     * or rejected with the error.
+     *
+     * @private
+     * @param {function} callback - the optional callback of the public method
+     * @param {function} run - the operation, which receives the callback to call when it's done
+     * @returns {Promise} - a Promise if no callback was given (and Promises are available), undefined otherwise
+     */
+    function callbackOrPromise(callback, run) {
+        if (typeof callback == 'function' || typeof Promise == 'undefined') {
+            run(callback || function() {});
+            return;
+        }
+        return new Promise(function(resolve, reject) {
+            run(function(error, value) {
+                if (error) {
+                    reject(error);
+                } else {
+                    resolve(value);
+                }
+            });
+        });
+    }
+
     // -- Request handlers
 
+    // Request handlers are called with the URL, the callback, and the request options of the Api object:
+    // - timeout: the number of milliseconds after which the request is aborted
+    // - headers: extra HTTP headers to send, like { 'User-Agent': 'my-app' }
+    // - signal: an AbortSignal (or any object with an "aborted" field and an "abort" event) to abort the requests
+    // - method and body: the HTTP method ("GET" by default) and the body to send with it, as a string
+    // They never throw: every failure is passed to the callback as one of the RequestError types of Prismic.Errors,
+    // which have a "kind" field: "http", "network", "timeout", "abort" or "parse".
+
     var ajaxRequest = (function() {
         if(typeof XMLHttpRequest != 'undefined' && 'withCredentials' in new XMLHttpRequest()) {
-            return function(url, callback) {
+            return function(url, callback, options) {
+
+                var xhr = new XMLHttpRequest(),
+                    removeAbortListener = null,
+                    done = callbackOnce(callback, function() { removeAbortListener && removeAbortListener(); });
 
-                var xhr = new XMLHttpRequest();
+                options = options || {};
 
                 // Called on success
                 var resolve = function() {
-                    callback(null, JSON.parse(xhr.responseText), xhr);
+                    parseJson(url, xhr.responseText, xhr, done);
                 };
 
                 // Called on error
                 var reject = function() {
                     var status = xhr.status;
-                    callback(new Error("Unexpected status code [" + status + "] on URL "+url), null, xhr);
+                    if (status) {
+                        done(new HttpError(status, url, xhr.responseText), null, xhr);
+                    } else {
+                        done(new NetworkError("Unexpected status code [0] on URL "+url, url), null, xhr);
+                    }
                 };
 
                 // Bind the XHR finished callback
@@ -51,32 +103,56 @@
                     }
                 };
 
+                // Bind the XHR timeout callback
+                xhr.ontimeout = function() {
+                    done(new TimeoutError(url), null, xhr);
+                };
+
                 // Open the XHR
-                xhr.open('GET', url, true);
+                xhr.open(options.method || 'GET', url, true);
+
+                if (options.timeout) {
+                    xhr.timeout = options.timeout;
+                }
 
                 // Json request
                 xhr.setRequestHeader('Accept', 'application/json');
+                for (var header in options.headers) {
+                    xhr.setRequestHeader(header, options.headers[header]);
+                }
+
+                removeAbortListener = onAbort(options.signal, function() {
+                    done(new AbortError(url), null, xhr);
+                    xhr.abort();
+                });
+                if (!removeAbortListener) {
+                    return;
+                }
 
                 // Send the XHR
-                xhr.send();
+                xhr.send(options.body || null);
             };
         }
     });
 
     var xdomainRequest = (function() {
         if(typeof XDomainRequest != 'undefined') {
-            return function(url, callback) {
+            return function(url, callback, options) {
 
-                var xdr = new XDomainRequest();
+                var xdr = new XDomainRequest(),
+                    removeAbortListener = null,
+                    done = callbackOnce(callback, function() { removeAbortListener && removeAbortListener(); });
+
+                options = options || {};
 
                 // Called on success
                 var resolve = function() {
-                    callback(null, JSON.parse(xdr.responseText), xdr);
+                    parseJson(url, xdr.responseText, xdr, done);
                 };
 
                 // Called on error
-                var reject = function(msg) {
-                    callback(new Error(msg), null, xdr);
+                var reject = function(error) {
+                    done(error, null, xdr);
                 };
 
                 // Bind the XDR finished callback
@@ -86,79 +162,461 @@
 
                 // Bind the XDR error callback
                 xdr.onerror = function() {
-                    reject("Unexpected status code on URL "+url);
+                    reject(new NetworkError("Unexpected status code on URL "+url, url));
                 };
 
                 // Open the XHR
-                xdr.open('GET', url, true);
+                xdr.open(options.method || 'GET', url, true);
 
                 // Bind the XDR timeout callback
                 xdr.ontimeout = function () {
-                    reject("Request timeout");
+                    reject(new TimeoutError(url));
                 };
 
+                if (options.timeout) {
+                    xdr.timeout = options.timeout;
+                }
+
                 // Empty callback. IE sometimes abort the reqeust if
                 // this is not present
                 xdr.onprogress = function () { };
 
-                xdr.send();
+                // Note that XDomainRequest can't send custom headers (bodies are always sent as text/plain),
+                // and only knows GET and POST
+
+                removeAbortListener = onAbort(options.signal, function() {
+                    reject(new AbortError(url));
+                    xdr.abort();
+                });
+                if (!removeAbortListener) {
+                    return;
+                }
+
+                xdr.send(options.body || null);
             };
         }
     });
 
     var nodeJSRequest = (function() {
         if(typeof require == 'function' && require('http')) {
-            var requestsCache = {},
-                http = require('http'),
+            var http = require('http'),
                 https = require('https'),
                 url = require('url'),
                 querystring = require('querystring');
 
-            return function(requestUrl, callback) {
-                if(requestsCache[requestUrl]) {
-                    callback(null, requestsCache[requestUrl]);
-                } else {
+            return function(requestUrl, callback, options) {
+                var removeAbortListener = null,
+                    done = callbackOnce(callback, function() { removeAbortListener && removeAbortListener(); });
+
+                options = options || {};
+
+                var parsed = url.parse(requestUrl),
+                    h = parsed.protocol == 'https:' ? https : http,
+                    headers = { 'Accept': 'application/json' },
+                    requestOptions = {
+                        method: options.method || 'GET',
+                        hostname: parsed.hostname,
+                        port: parsed.port,
+                        path: parsed.path,
+                        query: parsed.query,
+                        headers: headers
+                    };
+
+                for (var header in options.headers) {
+                    headers[header] = options.headers[header];
+                }
+                if (options.body) {
+                    headers['Content-Length'] = Buffer.byteLength(options.body);
+                }
 
-                    var parsed = url.parse(requestUrl),
-                        h = parsed.protocol == 'https:' ? https : http,
-                        options = {
-                            hostname: parsed.hostname,
-                            path: parsed.path,
-                            query: parsed.query,
-                            headers: { 'Accept': 'application/json' }
-                        };
-
-                    h.get(options, function(response) {
-                        if(response.statusCode && response.statusCode == 200) {
-                            var jsonStr = '';
-
-                            response.setEncoding('utf8');
-                            response.on('data', function (chunk) {
-                                jsonStr += chunk;
-                            });
+                var request = h.request(requestOptions, function(response) {
+                    if(response.statusCode && response.statusCode == 200) {
+                        var jsonStr = '';
+
+                        response.setEncoding('utf8');
+                        response.on('data', function (chunk) {
+                            jsonStr += chunk;
+                        });
 
-                            response.on('end', function () {
-                              var cacheControl = response.headers['cache-control'],
-                                  maxAge = cacheControl && /max-age=(\d+)/.test(cacheControl) ? parseInt(/max-age=(\d+)/.exec(cacheControl)[1]) : undefined,
-                                  json = JSON.parse(jsonStr);
+                        response.on('end', function () {
+                            parseJson(requestUrl, jsonStr, response, done);
+                        });
+                    } else {
+                        var body = '';
 
-                              if(maxAge) {
-                                  requestsCache[requestUrl] = json;
-                              }
+                        response.setEncoding('utf8');
+                        response.on('data', function (chunk) {
+                            body += chunk;
+                        });
 
-                              callback(null, json, response);
-                            });
-                        } else {
-                            callback(new Error("Unexpected status code [" + response.statusCode + "] on URL "+requestUrl), null, response);
-                        }
+                        response.on('end', function () {
+                            done(new HttpError(response.statusCode, requestUrl, body), null, response);
+                        });
+                    }
+                });
+
+                request.on('error', function(error) {
+                    done(new NetworkError("Network error (" + error.message + ") on URL "+requestUrl, requestUrl), null, null);
+                });
+
+                if (options.timeout) {
+                    request.setTimeout(options.timeout, function() {
+                        done(new TimeoutError(requestUrl), null, null);
+                        request.abort();
                     });
+                }
 
+                removeAbortListener = onAbort(options.signal, function() {
+                    done(new AbortError(requestUrl), null, null);
+                    request.abort();
+                });
+                if (!removeAbortListener) {
+                    return;
                 }
 
+                request.end(options.body);
             };
         }
     });
 
+    /**
+     * Parses a JSON response, and passes either the JSON or a "parse" error to the callback.
+     *
+     * @private
+     */
+    function parseJson(url, text, xhr, callback) {
+        var json;
+        try {
+            json = JSON.parse(text);
+        } catch (e) {
+            callback(new ParseError("Invalid JSON (" + e.message + ") on URL "+url, url), null, xhr);
+            return;
+        }
+        callback(null, json, xhr);
+    }
+
+    /**
+     * Makes sure a request handler calls its callback only once, whatever happens to the request afterwards
+     * (like an error event following a timeout).
+     *
+     * @private
+     * @param {function} callback - the callback of the request handler
+     * @param {function} maybeCleanup - an optional function called first, like the remover of the abort listener
+     */
+    function callbackOnce(callback, maybeCleanup) {
+        var called = false;
+        return function() {
+            if (!called) {
+                called = true;
+                if (maybeCleanup) {
+                    maybeCleanup();
+                }
+                callback.apply(this, arguments);
+            }
+        };
+    }
+
+    /**
+     * Calls abort() when the signal gets aborted.
+     * The listener must be removed once the request is over, as a signal may outlive many requests.
+     * Signals without addEventListener are only checked when the request starts.
+     *
+     * @private
+     * @param {object} signal - an AbortSignal, or any object with an "aborted" field and an "abort" event
+     * @param {function} abort - the function that aborts the request
+     * @returns {function} - the function that removes the listener, or null if the signal was already aborted (and abort() was called)
+     */
+    function onAbort(signal, abort) {
+        if (signal && signal.aborted) {
+            abort();
+            return null;
+        }
+        if (!signal || !signal.addEventListener) {
+            return function() {};
+        }
+        signal.addEventListener('abort', abort);
+        return function() {
+            signal.removeEventListener('abort', abort);
+        };
+    }
+
+    /**
+     * The default retry policy, used when the request options of an Api object have retry: true.
+     * - maxAttempts: the maximum number of times a request is sent, including the first one
+     * - baseDelay: the delay before the first retry, in milliseconds; it doubles after each retry
+     * - maxDelay: the maximum delay between two attempts, in milliseconds
+     * - jitter: the random part of the delay, as a ratio of the delay (0.2 means +/- 20%)
+     * - statuses: the HTTP status codes that are worth a retry
+     * - kinds: the kinds of request errors that are worth a retry (see the request handlers)
+     * When the response has a Retry-After header, its delay is used instead; if it is longer than maxDelay, the request is not retried.
+     * @private
+     */
+    var RETRY_POLICY = {
+        maxAttempts: 3,
+        baseDelay: 200,
+        maxDelay: 10000,
+        jitter: 0.2,
+        statuses: [408, 429, 500, 502, 503, 504],
+        kinds: ['network', 'timeout']
+    };
+
+    /**
+     * Builds a retry policy from the retry request option, with the default values for the missing fields.
+     *
+     * @private
+     * @param {boolean|object} options - true, or the fields to override in the default policy
+     * @returns {object} - the retry policy
+     */
+    function retryPolicy(options) {
+        var policy = {};
+        for (var field in RETRY_POLICY) {
+            policy[field] = (typeof options == 'object' && options[field] !== undefined) ? options[field] : RETRY_POLICY[field];
+        }
+        return policy;
+    }
+
+    /**
+     * @private
+     */
+    function isRetryable(policy, error) {
+        if (error.kind == 'http') {
+            return policy.statuses.indexOf(error.status) > -1;
+        }
+        return policy.kinds.indexOf(error.kind) > -1;
+    }
+
+    /**
+     * Computes the delay before the next attempt: the Retry-After header of the response if there is one,
+     * or else an exponential backoff with some jitter.
+     *
+     * @private
+     * @param {object} policy - the retry policy
+     * @param {number} attempt - the number of the attempt that just failed, starting at 1
+     * @param {object} xhr - the XMLHttpRequest or the Node.js response of the failed attempt, if any
+     * @returns {number} - the delay in milliseconds, or null if the Retry-After header asks to wait longer than policy.maxDelay
+     */
+    function retryDelay(policy, attempt, xhr) {
+        var retryAfter = responseHeader(xhr, 'Retry-After');
+        if (retryAfter) {
+            var delay = /^\d+$/.test(retryAfter) ? parseInt(retryAfter, 10) * 1000 : Date.parse(retryAfter) - Date.now();
+            if (!isNaN(delay)) {
+                return delay > policy.maxDelay ? null : Math.max(0, delay);
+            }
+        }
+        var backoff = Math.min(policy.maxDelay, policy.baseDelay * Math.pow(2, attempt - 1));
+        return Math.max(0, Math.round(backoff * (1 + policy.jitter * (Math.random() * 2 - 1))));
+    }
+
+    /**
+     * Reads a header of the XMLHttpRequest or of the Node.js response passed to the request callbacks.
+     *
+     * @private
+     * @returns {string} - the value of the header, or null if it is missing or can't be read (like with XDomainRequest)
+     */
+    function responseHeader(xhr, name) {
+        if (!xhr) {
+            return null;
+        }
+        if (xhr.getResponseHeader) {
+            return xhr.getResponseHeader(name);
+        }
+        return (xhr.headers && xhr.headers[name.toLowerCase()]) || null;
+    }
+
+    /**
+     * How long a response may be cached according to its Cache-Control header.
+     *
+     * @private
+     * @returns {number} - the max-age in seconds, or 0 if the response must not be cached
+     */
+    function maxAge(xhr) {
+        var cacheControl = responseHeader(xhr, 'Cache-Control'),
+            match = cacheControl && /max-age=(\d+)/.exec(cacheControl);
+        if (!match || /no-store|no-cache|private/.test(cacheControl)) {
+            return 0;
+        }
+        return parseInt(match[1], 10);
+    }
+
+    /**
+     * How long the last good /api document is kept to be served stale: its ttl plus the longest stale option,
+     * or forever if a stale option is true.
+     *
+     * @private
+     * @param {number} ttl - the ttl of the /api document, in seconds
+     * @param {object} options - the request options of the Api object
+     * @returns {number} - the ttl of the stale document, in seconds (0 meaning forever)
+     */
+    function staleTtl(ttl, options) {
+        if (options.staleWhileRevalidate === true || options.staleIfError === true) {
+            return 0;
+        }
+        return ttl + Math.max(options.staleWhileRevalidate || 0, options.staleIfError || 0);
+    }
+
+    /**
+     * Fires the masterChanged and refsChanged events of an Api object if its new /api document changed the refs.
+     * Refs are compared on their ref field, as publishing a release gives the master ref a new value.
+     *
+     * @private
+     * @param {Api} api - the Api object
+     * @param {object} previous - the parsed /api document it had
+     * @param {object} current - the parsed /api document it now has
+     */
+    function emitRefChanges(api, previous, current) {
+        var refValues = function(refs) {
+            return refs.map(function(r) { return r.ref; });
+        };
+        var previousRefs = refValues(previous.refs),
+            currentRefs = refValues(current.refs);
+
+        var added = current.refs.filter(function(r) { return previousRefs.indexOf(r.ref) == -1; }),
+            removed = previous.refs.filter(function(r) { return currentRefs.indexOf(r.ref) == -1; });
+
+        try {
+            if (previous.master.ref != current.master.ref) {
+                api.emit('masterChanged', previous.master, current.master);
+            }
+        } finally {
+            if (added.length || removed.length) {
+                api.emit('refsChanged', added, removed);
+            }
+        }
+    }
+
+    /**
+     * Encodes parameters as application/x-www-form-urlencoded; the undefined and null ones are left out.
+     *
+     * @private
+     * @param {object} params - the parameters, by name
+     * @returns {string} - the encoded parameters, like "a=1&b=2"
+     */
+    function encodeForm(params) {
+        var pairs = [];
+        for (var name in params) {
+            if (params[name] !== undefined && params[name] !== null) {
+                pairs.push(encodeURIComponent(name) + '=' + encodeURIComponent(params[name]));
+            }
+        }
+        return pairs.join('&');
+    }
+
+    /**
+     * Adds the options of a single request to the request options of the Api object; headers are merged.
+     *
+     * @private
+     * @param {object} options - the request options of the Api object
+     * @param {object} maybeOptions - the options of the request, if any
+     * @returns {object} - the options to pass to the request handler
+     */
+    function mergeRequestOptions(options, maybeOptions) {
+        if (!maybeOptions) {
+            return options;
+        }
+        var merged = {}, field;
+        for (field in options) {
+            merged[field] = options[field];
+        }
+        for (field in maybeOptions) {
+            merged[field] = maybeOptions[field];
+        }
+        merged.headers = {};
+        for (field in options.headers) {
+            merged.headers[field] = options.headers[field];
+        }
+        for (field in maybeOptions.headers) {
+            merged.headers[field] = maybeOptions.headers[field];
+        }
+        return merged;
+    }
+
+    /**
+     * The scheme, host and port of a URL, in lower case.
+     *
+     * @private
+     * @returns {string} - like "https://lesbonneschoses.prismic.io", or null if the URL isn't an absolute HTTP URL
+     */
+    function urlOrigin(url) {
+        var match = /^(https?:\/\/[^\/?#]+)(?:[\/?#]|$)/i.exec(String(url));
+        return match ? match[1].toLowerCase() : null;
+    }
+
+    /**
+     * Calls the callbacks waiting for the same result, one after the other;
+     * one that throws doesn't keep the next ones from being called.
+     *
+     * @private
+     * @param {array} callbacks - the callbacks
+     * @param {array} args - the arguments to pass to each callback
+     */
+    function callEach(callbacks, args) {
+        (function next(i) {
+            if (i < callbacks.length) {
+                try {
+                    callbacks[i] && callbacks[i].apply(null, args);
+                } finally {
+                    next(i + 1);
+                }
+            }
+        })(0);
+    }
+
+    // The GET requests being sent, shared by all the Api objects: one entry per request handler,
+    // with the callbacks waiting for each response, by request key (see requestKey)
+    var inFlightRequests = [];
+
+    /**
+     * The requests being sent with a request handler, by request key; the handler is added if it has none.
+     *
+     * @private
+     * @param {function} handler - the request handler
+     * @returns {object} - the callbacks waiting for each response, by request key
+     */
+    function inFlightRequestsOf(handler) {
+        for (var i = 0; i < inFlightRequests.length; i++) {
+            if (inFlightRequests[i].handler === handler) {
+                return inFlightRequests[i].requests;
+            }
+        }
+        inFlightRequests.push({ handler: handler, requests: {} });
+        return inFlightRequests[inFlightRequests.length - 1].requests;
+    }
+
+    /**
+     * Forgets a request once it's over, and its handler once it has no more requests being sent.
+     *
+     * @private
+     */
+    function removeInFlightRequest(handler, key) {
+        for (var i = 0; i < inFlightRequests.length; i++) {
+            if (inFlightRequests[i].handler === handler) {
+                delete inFlightRequests[i].requests[key];
+                if (Object.keys(inFlightRequests[i].requests).length === 0) {
+                    inFlightRequests.splice(i, 1);
+                }
+                return;
+            }
+        }
+    }
+
+    /**
+     * The key of a GET request among the requests being sent with the same handler:
+     * requests sent with other headers (like another Authorization), timeout or retry policy get different keys.
+     *
+     * @private
+     * @returns {string} - the key of the request
+     */
+    function requestKey(url, options, policy) {
+        var headers = {};
+        Object.keys(options.headers || {}).sort().forEach(function(header) {
+            headers[header.toLowerCase()] = options.headers[header];
+        });
+        return url + ' ' + JSON.stringify([headers, options.timeout || 0, policy]);
+    }
+
+    // The request handler found for this environment, shared by the Api objects created without one so they can share their requests
+    var defaultRequestHandler = null;
+
     // Defining Api's instance methods; note that the prismic variable is later affected as "Api" while exporting
     prismic.fn = prismic.prototype = {
 
@@ -170,33 +628,101 @@
          * This is for internal use, from outside this kit, you should call Prismic.Api()
          *
          * @param {function} callback - Optional callback function that is called after the query is made, to which you may pass three parameters: a potential error (null if no problem), the API object, and the XMLHttpRequest
-         * @returns {Api} - The Api object that can be manipulated
+         * @returns {Promise} - A Promise of the Api object if no callback was given
          */
         get: function(callback) {
-            var self = this;
-            var cacheKey = this.url + (this.accessToken ? ('#' + this.accessToken) : '');
-            this.apiCache.getOrSet(
-                cacheKey,
-                5, // ttl
-                function fetchApi (cb) {
-                    self.requestHandler(self.url, function(error, data, xhr) {
+            var self = this,
+                options = this.requestOptions,
+                ttl = options.apiTtl !== undefined ? options.apiTtl : 5,
+                cacheKey = this.url + (this.accessToken ? ('#' + this.accessToken) : ''),
+                // The last good document is kept under its own key, for longer, if it may be served stale
+                staleKey = cacheKey + '#stale',
+                keepsStale = !!(options.staleWhileRevalidate || options.staleIfError) && !!(this.apiCache.get && this.apiCache.set);
+
+            return callbackOrPromise(callback, function(callback) {
+                var stale = keepsStale ? self.apiCache.get(staleKey) : null;
+
+                // Whether the stale document may still be served, given the option allowing it
+                var servable = function(staleOption) {
+                    return !!(stale && staleOption && (staleOption === true || Date.now() <= stale.expiredAt + staleOption * 1000));
+                };
+
+                var fetchApi = function(cb) {
+                    // The raw JSON document is cached, so it can be stored by any cache; but only if it parses
+                    self.request(self.url, function(error, data, xhr) {
+                        if (!error) {
+                            try {
+                                self.parse(data);
+                            } catch (e) {
+                                error = e;
+                            }
+                        }
                         if (error) {
                             cb && cb(error, null, xhr);
                         } else {
-                            cb && cb(null, self.parse(data), xhr);
+                            if (keepsStale) {
+                                self.apiCache.set(staleKey, { data: data, expiredAt: Date.now() + ttl * 1000 }, staleTtl(ttl, options));
+                            }
+                            cb && cb(null, data, xhr);
                         }
                     });
-                },
-                function done (error, api, xhr) {
+                };
+
+                var done = function(error, data, xhr) {
+                    var api;
+                    if (!error) {
+                        try {
+                            api = self.parse(data);
+                        } catch (e) {
+                            error = e;
+                        }
+                    }
                     if(error) {
-                        callback && callback(error, null, xhr);
+                        callback(error, null, xhr);
                     } else {
+                        var previous = self.data;
                         self.data = api;
                         self.bookmarks = api.bookmarks;
-                        callback && callback(null, self, xhr);
+                        // The events come after the callback, so a listener that throws can't keep it from being called
+                        try {
+                            callback(null, self, xhr);
+                        } finally {
+                            if (previous) {
+                                emitRefChanges(self, previous, api);
+                            }
+                        }
                     }
+                };
+
+                // With an apiTtl of 0, the document is fetched on every call
+                var fetchCached = function(cb) {
+                    if (ttl > 0) {
+                        self.apiCache.getOrSet(cacheKey, ttl, fetchApi, cb);
+                    } else {
+                        fetchApi(cb);
+                    }
+                };
+
+                var fresh = ttl > 0 && self.apiCache.get ? self.apiCache.get(cacheKey) : null;
+                if (!fresh && servable(options.staleWhileRevalidate)) {
+                    // Refreshed in the background; a failure is passed to the error listeners, and the next call tries again
+                    fetchCached(function(error) {
+                        if (error) {
+                            self.emit('error', error);
+                        }
+                    });
+                    done(null, stale.data);
+                    return;
                 }
-            );
+
+                fetchCached(function(error, data, xhr) {
+                    if (error && servable(options.staleIfError)) {
+                        done(null, stale.data);
+                    } else {
+                        done(error, data, xhr);
+                    }
+                });
+            });
         },
 
         /**
@@ -205,6 +731,7 @@
          *
          * @param {string} data - The JSON document responded on the API's endpoint
          * @returns {Api} - The Api object that can be manipulated
+         * @throws {NoMasterRefError} - If the document has no master ref
          * @private
          */
         parse: function(data) {
@@ -231,10 +758,11 @@
                     form = new Form(
                         f.name,
                         f.fields,
-                        f.form_method,
+                        f.method || f.form_method,
                         f.rel,
                         f.enctype,
-                        f.action
+                        f.action,
+                        i
                     );
 
                     forms[i] = form;
@@ -260,7 +788,7 @@
             tags = data.tags;
 
             if (master.length === 0) {
-                throw ("No master ref.");
+                throw new NoMasterRefError();
             }
 
             return {
@@ -281,11 +809,176 @@
          * This is for internal use, from outside this kit, you should call Prismic.Api()
          * @private
          */
-        init: function(url, accessToken, maybeRequestHandler, maybeApiCache) {
+        init: function(url, accessToken, maybeRequestHandler, maybeApiCache, maybeRequestOptions) {
             this.url = url + (accessToken ? (url.indexOf('?') > -1 ? '&' : '?') + 'access_token=' + accessToken : '');
             this.accessToken = accessToken;
-            this.requestHandler = maybeRequestHandler || ajaxRequest() || xdomainRequest() || nodeJSRequest() || (function() {throw new Error("No request handler available (tried XMLHttpRequest & NodeJS)");})();
-            this.apiCache = maybeApiCache || new ApiCache();
+            this.requestHandler = maybeRequestHandler || (defaultRequestHandler = defaultRequestHandler || ajaxRequest() || xdomainRequest() || nodeJSRequest()) || (function() {throw new PrismicError("No request handler available (tried XMLHttpRequest & NodeJS)");})();
+            this.apiCache = maybeApiCache ? (maybeApiCache.getOrSet ? maybeApiCache : new ApiCache(maybeApiCache)) : new ApiCache();
+            this.requestOptions = maybeRequestOptions || {};
+            var queryCache = this.requestOptions.queryCache;
+            if (queryCache) {
+                this.queryCache = queryCache.getOrSet ? queryCache : new ApiCache(queryCache);
+            } else if (maybeApiCache) {
+                this.queryCache = this.apiCache;
+            } else {
+                this.queryCache = sharedQueryCache = sharedQueryCache || new ApiCache();
+            }
+            this.retryPolicy = this.requestOptions.retry ? retryPolicy(this.requestOptions.retry) : null;
+            this.listeners = {};
+            this.pollTimer = null;
+            return this;
+        },
+
+        /**
+         * Requests a URL with the request handler and the request options,
+         * retrying the transient failures if the Api object has a retry policy.
+         * If an Api object is already requesting the same URL with the same request handler, headers, timeout and retry policy,
+         * even another Api object, the callback gets the response of that request instead;
+         * requests with options of their own or with an abort signal are not shared, as they may be sent or aborted differently.
+         * Requests with another method than GET are neither shared nor retried, as they may not be idempotent.
+         * This is for internal use, from outside this kit, you should call submit() on a SearchForm
+         *
+         * @private
+         * @param {string} url - The URL to request
+         * @param {function} callback - The callback of the request handler
+         * @param {object} maybeOptions - The optional method, body and headers of this request, on top of the request options
+         */
+        request: function(url, callback, maybeOptions) {
+            var self = this,
+                options = mergeRequestOptions(this.requestOptions, maybeOptions),
+                isGet = !options.method || options.method.toUpperCase() == 'GET',
+                shared = isGet && !maybeOptions && !options.signal,
+                policy = isGet ? this.retryPolicy : null,
+                key = shared ? requestKey(url, options, policy) : null,
+                attempt = 1,
+                callbacks = [callback];
+
+            if (shared) {
+                var requests = inFlightRequestsOf(this.requestHandler);
+                if (requests.hasOwnProperty(key)) {
+                    requests[key].push(callback);
+                    return;
+                }
+                requests[key] = callbacks;
+            }
+
+            // The abort signal cancels the pending retry: its listener is added with the first retry
+            var retryTimer = null,
+                removeAbortListener = null;
+
+            var done = function(error, data, xhr) {
+                if (removeAbortListener) {
+                    removeAbortListener();
+                }
+                if (shared) {
+                    removeInFlightRequest(self.requestHandler, key);
+                }
+                callEach(callbacks, [error, data, xhr]);
+            };
+
+            var cancelRetry = function() {
+                if (retryTimer) {
+                    clearTimeout(retryTimer);
+                    retryTimer = null;
+                    done(new AbortError(url), null, null);
+                }
+            };
+
+            (function send() {
+                retryTimer = null;
+                self.requestHandler(url, function(error, data, xhr) {
+                    var delay = error && policy && attempt < policy.maxAttempts && isRetryable(policy, error) ? retryDelay(policy, attempt++, xhr) : null;
+                    if (delay !== null) {
+                        retryTimer = setTimeout(send, delay);
+                        if (!removeAbortListener) {
+                            removeAbortListener = onAbort(options.signal, cancelRetry);
+                        }
+                    } else {
+                        done(error, data, xhr);
+                    }
+                }, options);
+            })();
+        },
+
+        /**
+         * Adds a listener to the events of the Api object:
+         * - masterChanged(oldRef, newRef): get() picked up an /api document with a new master ref, which means a new release was published
+         * - refsChanged(added, removed): get() picked up an /api document whose refs were added or removed (releases and previews)
+         * - error(error): the /api document couldn't be fetched while polling, or while refreshing it in the background (staleWhileRevalidate)
+         * Listeners are called after the callback of get(); one that throws doesn't keep the others from being called, and its error is thrown afterwards.
+         * Typical use: api.on('masterChanged', function(oldRef, newRef) { purgeCdn(); })
+         *
+         * @param {string} event - The name of the event
+         * @param {function} listener - The function called with the arguments of the event
+         * @returns {Api} - The Api object, so calls can be chained
+         */
+        on: function(event, listener) {
+            (this.listeners[event] = this.listeners[event] || []).push(listener);
+            return this;
+        },
+
+        /**
+         * Removes a listener added with on()
+         *
+         * @param {string} event - The name of the event
+         * @param {function} listener - The listener to remove
+         * @returns {Api} - The Api object, so calls can be chained
+         */
+        off: function(event, listener) {
+            var listeners = this.listeners[event] || [],
+                index = listeners.indexOf(listener);
+            if (index > -1) {
+                listeners.splice(index, 1);
+            }
+            return this;
+        },
+
+        /**
+         * Calls the listeners of an event; one that throws doesn't keep the next ones from being called
+         *
+         * @private
+         * @param {string} event - The name of the event
+         */
+        emit: function(event) {
+            var self = this;
+            callEach((this.listeners[event] || []).map(function(listener) {
+                return function() {
+                    listener.apply(self, arguments);
+                };
+            }), Array.prototype.slice.call(arguments, 1));
+        },
+
+        /**
+         * Fetches the /api document again every interval, so the masterChanged and refsChanged events get fired
+         * without waiting for the next call to get(). Calling it again changes the interval.
+         * Note that the /api document is cached: an interval shorter than its ttl (the apiTtl request option) doesn't make the polling any faster.
+         *
+         * @param {number} interval - The delay between two fetches, in milliseconds
+         * @returns {Api} - The Api object, so calls can be chained
+         */
+        startPolling: function(interval) {
+            var self = this;
+            this.stopPolling();
+            this.pollTimer = setInterval(function() {
+                self.get(function(error) {
+                    if (error) {
+                        self.emit('error', error);
+                    }
+                });
+            }, interval);
+            return this;
+        },
+
+        /**
+         * Stops the polling started with startPolling()
+         *
+         * @returns {Api} - The Api object, so calls can be chained
+         */
+        stopPolling: function() {
+            if (this.pollTimer) {
+                clearInterval(this.pollTimer);
+                this.pollTimer = null;
+            }
             return this;
         },
 
@@ -338,6 +1031,177 @@
                     return this.data.refs[i].ref;
                 }
             }
+        },
+
+        /**
+         * Returns all the refs of this prismic.io API: the master ref, and the releases the access token can see.
+         *
+         * @returns {array} - An array of Ref objects
+         */
+        refs: function() {
+            return this.data.refs.slice();
+        },
+
+        /**
+         * Returns a ref from its ID (the "id" field of the ref, which doesn't change when the release is updated, unlike the "ref" field).
+         *
+         * @param {string} id - the ref's ID, like "master"
+         * @returns {Ref} - The Ref object, or null if there is none with this ID
+         */
+        refById: function(id) {
+            for(var i=0; i<this.data.refs.length; i++) {
+                if(this.data.refs[i].id == id) {
+                    return this.data.refs[i];
+                }
+            }
+            return null;
+        },
+
+        /**
+         * Returns the refs of the releases that are scheduled to be published, the earliest first.
+         *
+         * @returns {array} - An array of Ref objects
+         */
+        scheduledRefs: function() {
+            return this.data.refs.filter(function(r) {
+                return !r.isMaster && r.scheduledAt;
+            }).sort(function(a, b) {
+                return a.scheduledAt - b.scheduledAt;
+            });
+        },
+
+        /**
+         * Returns the ref that will be live at a given time: the last release scheduled before that time,
+         * or the master ref if no release is scheduled by then.
+         * Typical use: api.form("everything").ref(api.refAt(new Date(2014, 11, 25)).ref).submit()
+         *
+         * @param {Date|number} date - the time, as a Date or a timestamp
+         * @returns {Ref} - The Ref object
+         */
+        refAt: function(date) {
+            var time = date instanceof Date ? date.getTime() : date,
+                live = this.data.master;
+            this.scheduledRefs().forEach(function(r) {
+                if (r.scheduledAt <= time) {
+                    live = r;
+                }
+            });
+            return live;
+        },
+
+        /**
+         * Resolves the preview token received when an editor clicks "Preview" in the writing room:
+         * fetches the preview session, and finds the URL of its main document with the linkResolver.
+         * The token is the ref to preview; store it in the Prismic.PREVIEW_COOKIE cookie, and read it back with Prismic.previewRef().
+         * Typical use: api.previewSession(req.query.token, linkResolver, '/', function(err, session) { res.cookie(Prismic.PREVIEW_COOKIE, session.ref); res.redirect(session.url); })
+         *
+         * @param {string} token - The preview token, which is the URL of the preview session; it must be on the same host as the API, as it usually comes from the query string
+         * @param {function} linkResolver - The function that builds the URL of a document, receiving a ctx (with the api, the ref and the linkResolver), the Doc and whether it's broken
+         * @param {string} defaultUrl - The URL to redirect to if the session has no main document
+         * @param {function} callback - Optional callback function, to which you may pass two parameters: a potential error (null if no problem),
+         * and the preview session, as an object with the url to redirect to and the ref to preview
+         * @returns {Promise} - A Promise of the preview session if no callback was given
+         */
+        previewSession: function(token, linkResolver, defaultUrl, callback) {
+            var self = this;
+            return callbackOrPromise(callback, function(callback) {
+                // The token is requested with the request options (like the headers) of the Api object, so it must not lead elsewhere
+                if (!urlOrigin(token) || urlOrigin(token) != urlOrigin(self.url)) {
+                    callback(new PrismicError("Invalid preview token " + token + ": not on the host of the API"));
+                    return;
+                }
+                self.request(token, function(error, result, xhr) {
+                    if (error) {
+                        callback(error, null, xhr);
+                        return;
+                    }
+                    var session = { url: defaultUrl, ref: token };
+                    if (!(result && result.mainDocument)) {
+                        callback(null, session);
+                        return;
+                    }
+                    self.form('everything')
+                        .query(Global.Prismic.Predicates.at('document.id', result.mainDocument))
+                        .ref(token)
+                        .submit(function(error, response) {
+                            if (error) {
+                                callback(error);
+                                return;
+                            }
+                            if (response.results.length) {
+                                var ctx = { api: self, ref: token, maybeRef: token, linkResolver: linkResolver };
+                                session.url = linkResolver(ctx, response.results[0], false);
+                            }
+                            callback(null, session);
+                        });
+                });
+            });
+        },
+
+        /**
+         * Builds the URL to send users to, so they authorize your application to access this repository (the first step of OAuth2).
+         * prismic.io then redirects them to the redirectUri, with the authorization code to pass to oauthAccessToken().
+         * Typical use: res.redirect(api.oauthAuthorizeUrl({ clientId: clientId, redirectUri: 'https://my-app.com/auth_callback', scope: 'master releases' }))
+         *
+         * @param {object} options - The clientId and redirectUri of your application, the scope of the access (like "master+releases"),
+         * and an optional state, sent back with the authorization code
+         * @returns {string} - The authorization URL
+         * @throws {PrismicError} - If the /api document has no OAuth2 endpoint
+         */
+        oauthAuthorizeUrl: function(options) {
+            if (!this.data.oauthInitiate) {
+                throw new PrismicError("No OAuth2 authorization endpoint in the /api document");
+            }
+            var params = {
+                client_id: options.clientId,
+                redirect_uri: options.redirectUri,
+                scope: options.scope,
+                response_type: 'code',
+                state: options.state
+            };
+            var url = this.data.oauthInitiate;
+            return url + (url.indexOf('?') > -1 ? '&' : '?') + encodeForm(params);
+        },
+
+        /**
+         * Exchanges the authorization code received on the redirectUri for an access token (the second step of OAuth2),
+         * by posting it to the token endpoint. Pass the access token to Prismic.Api() to access the private repository.
+         * Typical use: api.oauthAccessToken(req.query.code, { clientId: clientId, clientSecret: clientSecret, redirectUri: redirectUri }, function(err, accessToken) { ... })
+         *
+         * @param {string} code - The authorization code
+         * @param {object} options - The clientId, clientSecret and redirectUri of your application
+         * @param {function} callback - Optional callback function, to which you may pass three parameters: a potential error (null if no problem), the access token, and the XMLHttpRequest
+         * @returns {Promise} - A Promise of the access token if no callback was given
+         */
+        oauthAccessToken: function(code, options, callback) {
+            var self = this;
+            return callbackOrPromise(callback, function(callback) {
+                if (!self.data.oauthToken) {
+                    callback(new PrismicError("No OAuth2 token endpoint in the /api document"));
+                    return;
+                }
+                var body = encodeForm({
+                    grant_type: 'authorization_code',
+                    code: code,
+                    redirect_uri: options.redirectUri,
+                    client_id: options.clientId,
+                    client_secret: options.clientSecret
+                });
+                self.request(self.data.oauthToken, function(error, data, xhr) {
+                    if (!error && !(data && data.access_token)) {
+                        error = new ParseError("No access token on URL " + self.data.oauthToken, self.data.oauthToken);
+                    }
+                    if (error) {
+                        callback(error, null, xhr);
+                    } else {
+                        callback(null, data.access_token, xhr);
+                    }
+                }, {
+                    method: 'POST',
+                    body: body,
+                    headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+                });
+            });
         }
 
     };
@@ -349,7 +1213,8 @@
      * @constructor
      * @private
      */
-    function Form(name, fields, form_method, rel, enctype, action) {
+    function Form(name, fields, form_method, rel, enctype, action, id) {
+        this.id = id;
         this.name = name;
         this.fields = fields;
         this.form_method = form_method;
@@ -360,6 +1225,82 @@
 
     Form.prototype = {};
 
+    // The smallest values of the Integer fields that can't be 0, by field name
+    var INTEGER_FIELD_MINIMUMS = {
+        page: 1,
+        pageSize: 1
+    };
+
+    /**
+     * Checks a value against the type of a form field, and converts it to the string that gets sent:
+     * - Integer fields take non-negative integers, as numbers or strings, and at least 1 for page and pageSize
+     * - Boolean fields take booleans, or the "true" and "false" strings
+     * - String fields take strings, numbers and booleans, and objects that can be serialized like predicates
+     * Fields of other types take any value.
+     *
+     * @private
+     * @param {Form} form - the form
+     * @param {string} field - the name of the field
+     * @param {*} value - the value, which is neither null nor undefined
+     * @returns {string|*} - the value to send
+     * @throws {InvalidFormFieldError} - if the value can't be sent in this field
+     */
+    function fieldValue(form, field, value) {
+        var type = form.fields[field].type;
+        switch (type) {
+            case 'Integer':
+                var integer = typeof value == 'string' && /^\s*\d+\s*$/.test(value) ? parseInt(value, 10) : value;
+                if (typeof integer != 'number' || !isFinite(integer) || integer % 1 !== 0 || integer < (INTEGER_FIELD_MINIMUMS[field] || 0)) {
+                    throw new InvalidFormFieldError(field, value, type, form.id);
+                }
+                return String(integer);
+            case 'Boolean':
+                if (value === true || value === false || value === 'true' || value === 'false') {
+                    return String(value);
+                }
+                throw new InvalidFormFieldError(field, value, type, form.id);
+            case 'String':
+                if (typeof value == 'string' || typeof value == 'number' || typeof value == 'boolean') {
+                    return String(value);
+                }
+                if (typeof value == 'object' && !Array.isArray(value) && value.toString !== Object.prototype.toString) {
+                    return value.toString();
+                }
+                throw new InvalidFormFieldError(field, value, type, form.id);
+            default:
+                return value;
+        }
+    }
+
+    /**
+     * Encodes the fields of a form as the body of a request, according to the form's enctype:
+     * JSON for application/json (with an array for the fields that are multiple), and application/x-www-form-urlencoded otherwise.
+     *
+     * @private
+     * @param {Form} form - the form
+     * @param {object} data - the values of the fields, as arrays
+     * @returns {object} - the body and headers of the request
+     */
+    function formBody(form, data) {
+        var key;
+        if (/json/i.test(form.enctype || '')) {
+            var json = {};
+            for (key in data) {
+                if (data[key]) {
+                    json[key] = form.fields[key] && form.fields[key].multiple ? data[key] : data[key][0];
+                }
+            }
+            return { body: JSON.stringify(json), headers: { 'Content-Type': 'application/json' } };
+        }
+        var pairs = [];
+        for (key in data) {
+            (data[key] || []).forEach(function(value) {
+                pairs.push(encodeURIComponent(key) + '=' + encodeURIComponent(value));
+            });
+        }
+        return { body: pairs.join('&'), headers: { 'Content-Type': 'application/x-www-form-urlencoded' } };
+    }
+
     /**
      * Embodies a SearchForm object. To create SearchForm objects that are allowed in the API, please use the API.form() method.
      * @constructor
@@ -370,6 +1311,7 @@
         this.api = api;
         this.form = form;
         this.data = data || {};
+        this.pagesLimit = 100;
 
         for(var field in form.fields) {
             if(form.fields[field]['default']) {
@@ -383,21 +1325,27 @@
         /**
          * Set an API call parameter. This will only work if field is a valid field of the
          * RESTful form in the first place (as described in the /api document); otherwise,
-         * an "Unknown field" error is thrown.
+         * an UnknownFormFieldError is thrown.
+         * The value is checked against the type of the field, and converted when it's safe (like 20 into "20" for an Integer field);
+         * otherwise, an InvalidFormFieldError is thrown.
          * Please prefer using dedicated methods like query(), orderings(), ...
          *
          * @param {string} field - The name of the field to set
          * @param {string} value - The value that gets assigned
          * @returns {SearchForm} - The SearchForm itself
+         * @throws {UnknownFormFieldError|InvalidFormFieldError}
          */
         set: function(field, value) {
             var fieldDesc = this.form.fields[field];
-            if(!fieldDesc) throw new Error("Unknown field " + field);
+            if(!fieldDesc) throw new UnknownFormFieldError(field, this.form.id);
             var values= this.data[field] || [];
             if(value === '' || value === undefined) {
                 // we must compare value to null because we want to allow 0
                 value = null;
             }
+            if(value != null) {
+                value = fieldValue(this.form, field, value);
+            }
             if(fieldDesc.multiple) {
                 value != null && values.push(value);
             } else {
@@ -407,6 +1355,32 @@
             return this;
         },
 
+        /**
+         * Describes the form, for tooling: its name, method, enctype and action, and its fields with their type,
+         * whether they accept multiple values, and their default value.
+         *
+         * @returns {object} - The description of the form, which can be modified without altering the form
+         */
+        describe: function() {
+            var fields = {};
+            for (var field in this.form.fields) {
+                var desc = this.form.fields[field];
+                fields[field] = {
+                    type: desc.type,
+                    multiple: !!desc.multiple,
+                    'default': desc['default']
+                };
+            }
+            return {
+                id: this.form.id,
+                name: this.form.name,
+                method: this.form.form_method || 'GET',
+                enctype: this.form.enctype,
+                action: this.form.action,
+                fields: fields
+            };
+        },
+
         /**
          * Sets a ref to query on for this SearchForm. This is a mandatory
          * method to call before calling submit(), and api.form('everything').submit()
@@ -423,12 +1397,18 @@
          * Sets a predicate-based query for this SearchForm. This is where you
          * paste what you compose in your prismic.io API browser.
          * You can pass an empty string, the method will simply not send that query.
+         * You can also pass one or more predicates built with Prismic.Predicates (or an array of them),
+         * like form.query(Prismic.Predicates.at("document.type", "product"), Prismic.Predicates.fulltext("document", "chocolate"))
          *
-         * @param {string} query - The query to perform
+         * @param {string|...Predicate} query - The query to perform, or the predicates to match
          * @returns {SearchForm} - The SearchForm itself
          */
         query: function(query) {
-            return this.set("q", query);
+            if (typeof query === 'string' || query === null || query === undefined) {
+                return this.set("q", query);
+            }
+            var predicates = Array.isArray(query) ? query : Array.prototype.slice.call(arguments);
+            return this.set("q", predicates.length ? Global.Prismic.Predicates.toQuery(predicates) : null);
         },
 
         /**
@@ -461,19 +1441,89 @@
             return this.set("orderings", orderings);
         },
 
+        /**
+         * Sets the maximum number of pages that each(), all() and the async iterator will fetch
+         * before stopping, as a safety net against queries that return too many documents. This is an optional method;
+         * the default is 100 pages.
+         *
+         * @param {number} limit - The maximum number of pages to fetch
+         * @returns {SearchForm} - The SearchForm itself
+         */
+        maxPages: function(limit) {
+            this.pagesLimit = limit;
+            return this;
+        },
+
+        /**
+         * Submits the query page after page, starting from the current page, and calls onDoc for each document,
+         * until all the results were read or the maxPages() limit is reached.
+         * Return false from onDoc to stop early.
+         *
+         * @param {function} onDoc - Function called for each document, with the Doc object and the Response of its page
+         * @param {function} onDone - Optional callback function that is called when the iteration is over,
+         * to which you may pass a potential error (null if no problem)
+         * @returns {Promise} - A Promise that is resolved when the iteration is over, if no onDone callback was given
+         */
+        each: function(onDoc, onDone) {
+            var nextPage = pageFetcher(this);
+            return callbackOrPromise(onDone, function(onDone) {
+                (function loop() {
+                    nextPage(function(error, response) {
+                        if (error) { onDone(error); return; }
+                        if (!response) { onDone(null); return; }
+                        for (var i=0; i<response.results.length; i++) {
+                            if (onDoc(response.results[i], response) === false) {
+                                onDone(null);
+                                return;
+                            }
+                        }
+                        loop();
+                    });
+                })();
+            });
+        },
+
+        /**
+         * Submits the query page after page, starting from the current page, and calls the callback function
+         * with all the documents, until all the results were read or the maxPages() limit is reached.
+         *
+         * @param {function} callback - Optional callback function that is called when all the pages were fetched,
+         * to which you may pass two parameters: a potential error (null if no problem), and the array of Docs
+         * @returns {Promise} - A Promise of the array of Docs if no callback was given
+         */
+        all: function(callback) {
+            var self = this;
+            return callbackOrPromise(callback, function(callback) {
+                var documents = [];
+                self.each(function(doc) {
+                    documents.push(doc);
+                }, function(error) {
+                    callback(error, error ? null : documents);
+                });
+            });
+        },
+
         /**
          * Submits the query, and calls the callback function.
+         * If no callback is given, a Promise of the Response object is returned instead.
+         * The fields are sent as the form describes it: in the query string for a GET form, or for a POST form
+         * in a body encoded as its enctype says (application/x-www-form-urlencoded, or application/json).
+         * Results of GET forms are kept in the query cache of the Api object, keyed by the URL of the query (including the ref),
+         * for as long as the Cache-Control header of the response allows it.
          *
          * @param {function} callback - Optional callback function that is called after the query was made,
          * to which you may pass three parameters: a potential error (null if no problem),
          * a Response object (containing all the pagination specifics + the array of Docs),
          * and the XMLHttpRequest
+         * @returns {Promise} - A Promise of the Response object if no callback was given
          */
         submit: function(callback) {
             var self = this,
-                url = this.form.action;
+                url = this.form.action,
+                method = (this.form.form_method || 'GET').toUpperCase(),
+                requestOptions = null;
 
-            if(this.data) {
+            if(method == 'GET') {
                 var sep = (url.indexOf('?') > -1 ? '&' : '?');
                 for(var key in this.data) {
                     var values = this.data[key];
@@ -484,71 +1534,167 @@
                         }
                     }
                 }
+            } else {
+                requestOptions = formBody(this.form, this.data);
+                requestOptions.method = method;
             }
 
-            this.api.requestHandler(url, function (err, documents, xhr) {
+            return callbackOrPromise(callback, function(callback) {
+                // Only GET forms are cached, as the URL of the other ones doesn't hold the query
+                var cache = requestOptions ? {} : self.api.queryCache,
+                    cached = cache.get ? cache.get(url) : null;
 
-                if (err) { callback(err, null, xhr); return; }
+                var handle = function (err, documents, xhr) {
 
-                var results = documents.results.map(function (doc) {
-
-                    var linkedDocuments = [];
-                    if(doc.linked_documents) {
-                        linkedDocuments = doc.linked_documents.map(function(linkedDoc) {
-                            return new LinkedDocument(linkedDoc['id'], linkedDoc['slug'], linkedDoc['type'], linkedDoc['tags']);
-                        });
+                    // The API answers 400 when the query can't be parsed
+                    if (err instanceof HttpError && err.status == 400 && self.data.q && self.data.q.length) {
+                        err = new InvalidPredicateError(err.message, err.url, err.status, err.body);
                     }
+                    if (!err && !(documents && Array.isArray(documents.results))) {
+                        err = new ParseError("Unexpected search results on URL "+url, url);
+                    }
+                    if (err) { callback(err, null, xhr); return; }
 
-                    var fragments = {};
-                    for(var field in doc.data[doc.type]) {
-                        fragments[doc.type + '.' + field] = doc.data[doc.type][field];
+                    if (documents !== cached && cache.set && maxAge(xhr)) {
+                        cache.set(url, documents, maxAge(xhr));
                     }
 
-                    /* Removing incorrect spans from StructuredText fragments */
-                    // This should be removed when the issue is fixed in the API
-                    for(var fragmentKey in fragments) {
-                        var fragment = fragments[fragmentKey];
-                        if (fragment.type === 'StructuredText') {
-                            for (var blockKey in fragment.value) {
-                                var block = fragment.value[blockKey];
-                                var newSpanArray = [];
-                                for (var spanKey in block.spans) {
-                                    var span = block.spans[spanKey];
-                                    if (span.start < span.end) {
-                                        newSpanArray.push(span);
-                                    }
-                                }
-                                block['spans'] = newSpanArray;
-                            }
+                    var results = documents.results.map(function (doc) {
+
+                        var linkedDocuments = [];
+                        if(doc.linked_documents) {
+                            linkedDocuments = doc.linked_documents.map(function(linkedDoc) {
+                                return new LinkedDocument(linkedDoc['id'], linkedDoc['slug'], linkedDoc['type'], linkedDoc['tags']);
+                            });
+                        }
+
+                        var fragments = {};
+                        for(var field in doc.data[doc.type]) {
+                            fragments[doc.type + '.' + field] = doc.data[doc.type][field];
                         }
-                    }
 
-                    return new Doc(
-                        doc.id,
-                        doc.type,
-                        doc.href,
-                        doc.tags,
-                        doc.slugs,
-                        linkedDocuments,
-                        fragments
+                        return new Doc(
+                            doc.id,
+                            doc.type,
+                            doc.href,
+                            doc.tags,
+                            doc.slugs,
+                            linkedDocuments,
+                            fragments
+                        );
+                    });
+
+                    callback(null, new Response(
+                        documents.page,
+                        documents.results_per_page,
+                        documents.results_size,
+                        documents.total_results_size,
+                        documents.total_pages,
+                        documents.next_page,
+                        documents.prev_page,
+                        results || []), xhr
                     );
-                });
+                };
 
-                callback(null, new Response(
-                    documents.page,
-                    documents.results_per_page,
-                    documents.results_size,
-                    documents.total_results_size,
-                    documents.total_pages,
-                    documents.next_page,
-                    documents.prev_page,
-                    results || []), xhr
-                );
+                if (cached) {
+                    // Called back asynchronously, like on a cache miss
+                    setTimeout(function() {
+                        handle(null, cached);
+                    }, 0);
+                } else {
+                    self.api.request(url, handle, requestOptions);
+                }
             });
 
         }
 
-    };
+    };
+
+    if (typeof Symbol != 'undefined' && Symbol.asyncIterator && typeof Promise != 'undefined') {
+        /**
+         * Iterates over the documents of all the pages, like each(), so you can write: for await (var doc of form) { ... }
+         * Breaking out of the loop stops fetching pages.
+         *
+         * @returns {object} - the async iterator
+         */
+        SearchForm.prototype[Symbol.asyncIterator] = function() {
+            var nextPage = pageFetcher(this),
+                buffer = [],
+                finished = false;
+
+            return {
+                next: function() {
+                    var iterator = this;
+                    if (buffer.length) {
+                        return Promise.resolve({ value: buffer.shift(), done: false });
+                    }
+                    if (finished) {
+                        return Promise.resolve({ value: undefined, done: true });
+                    }
+                    return new Promise(function(resolve, reject) {
+                        nextPage(function(error, response) {
+                            if (error) {
+                                finished = true;
+                                reject(error);
+                                return;
+                            }
+                            if (!response) {
+                                finished = true;
+                            } else {
+                                buffer = buffer.concat(response.results);
+                            }
+                            resolve(iterator.next());
+                        });
+                    });
+                },
+                'return': function() {
+                    finished = true;
+                    buffer = [];
+                    return Promise.resolve({ value: undefined, done: true });
+                }
+            };
+        };
+    }
+
+    /**
+     * Builds a function that fetches the pages of a SearchForm one after the other, starting from its current page.
+     * The SearchForm itself is left untouched. Each call passes the next Response to the callback,
+     * or null once the results ran out or the form's maxPages() limit was reached.
+     *
+     * @private
+     * @param {SearchForm} searchForm - the SearchForm to paginate
+     * @returns {function} - the function to call to get the next page
+     */
+    function pageFetcher(searchForm) {
+        var form = new SearchForm(searchForm.api, searchForm.form, {}),
+            limit = searchForm.pagesLimit,
+            fetched = 0,
+            finished = false,
+            page;
+
+        for (var key in searchForm.data) {
+            form.data[key] = searchForm.data[key] && searchForm.data[key].slice();
+        }
+        page = parseInt(form.data.page && form.data.page[0], 10) || 1;
+
+        return function(callback) {
+            if (finished || fetched >= limit) {
+                callback(null, null);
+                return;
+            }
+            form.page(page).submit(function(error, response) {
+                if (error) {
+                    finished = true;
+                    callback(error, null);
+                    return;
+                }
+                fetched++;
+                page++;
+                finished = !response.next_page || response.results.length === 0;
+                callback(null, response);
+            });
+        };
+    }
 
     /**
      * An array of the fragments with the given fragment name.
@@ -707,25 +1853,26 @@
                 return img;
             }
             if (img instanceof Global.Prismic.Fragments.StructuredText) {
-                // find first image in st.
-                return img;
+                // the first image of the StructuredText
+                return img.getImages()[0] || null;
             }
             return null;
         },
 
-        // Useful for obsolete multiples
+        // Useful for obsolete multiples; the images of a StructuredText fragment are all included
         getAllImages: function(fragment) {
-            var images = this.getAll(fragment);
+            var images = [];
 
-            return images.map(function (image) {
+            this.getAll(fragment).forEach(function (image) {
                 if (image instanceof Global.Prismic.Fragments.Image) {
-                    return image;
-                }
-                if (image instanceof Global.Prismic.Fragments.StructuredText) {
-                    throw new Error("Not done.");
+                    images.push(image);
+                } else if (image instanceof Global.Prismic.Fragments.StructuredText) {
+                    images.push.apply(images, image.getImages());
+                } else {
+                    images.push(null);
                 }
-                return null;
             });
+            return images;
         },
 
 
@@ -733,22 +1880,15 @@
          * Gets the view within the image fragment in the current Document object, for further manipulation.
          * Typical use: document.getImageView('blog-post.photo', 'large').asHtml(ctx)
          *
+         * For a StructuredText fragment, the view is taken from its first image.
+         *
          * @param {string} fragment - The name of the fragment to get, with its type; for instance, "blog-post.photo"
+         * @param {string} view - The name of the view, like "main" or "icon"
          * @returns {ImageView} - The View object to manipulate
          */
         getImageView: function(fragment, view) {
-            var fragment = this.get(fragment);
-            if (fragment instanceof Global.Prismic.Fragments.Image) {
-                return fragment.getView(view);
-            }
-            if (fragment instanceof Global.Prismic.Fragments.StructuredText) {
-                for(var i=0; i<fragment.blocks.length; i++) {
-                    if(fragment.blocks[i].type == 'image') {
-                        return fragment.blocks[i];
-                    }
-                }
-            }
-            return null;
+            var image = this.getImage(fragment);
+            return (image && image.getView(view)) || null;
         },
 
         // Useful for obsolete multiples
@@ -937,6 +2077,25 @@
             return htmls.join('');
         },
 
+        /**
+         * Transforms the whole document as CommonMark. Fragments are separated by a blank line;
+         * the fragments that have no Markdown version (like Text or Date fragments) are output as text, escaped so it renders as is.
+         *
+         * @param {object} ctx - The ctx object that contains the context: ctx.api, ctx.ref, ctx.maybeRef, ctx.oauth(), and ctx.linkResolver()
+         * @returns {string} - The Markdown output
+         */
+        asMarkdown: function(ctx) {
+            var markdowns = [];
+            for(var field in this.fragments) {
+                var fragment = this.get(field);
+                var markdown = fragment && (fragment.asMarkdown ? fragment.asMarkdown(ctx) : fragment.asText && Global.Prismic.Fragments.textAsMarkdown(fragment.asText(ctx)));
+                if (markdown) {
+                    markdowns.push(markdown);
+                }
+            }
+            return markdowns.join('\n\n');
+        },
+
         /**
          * Turns the document into a useable text version of it.
          *
@@ -985,77 +2144,543 @@
          */
         this.id = id;
     }
-    Ref.prototype = {};
+    Ref.prototype = {
+
+        /**
+         * The date the ref is scheduled to be published at
+         *
+         * @returns {Date} - the date, or null if the ref isn't scheduled
+         */
+        scheduledDate: function() {
+            return this.scheduledAt ? new Date(this.scheduledAt) : null;
+        }
+    };
+
+    // -- Errors
+
+    /**
+     * Declares a new type of error, as a constructor that inherits from parent (and ultimately from Error).
+     *
+     * @private
+     * @param {string} name - the name of the error type
+     * @param {function} parent - the constructor of the parent error type
+     * @param {function} init - sets the fields of the error, and returns its message
+     * @returns {function} - the constructor
+     */
+    function errorType(name, parent, init) {
+        var ErrorType = function() {
+            this.message = init.apply(this, arguments);
+            if (Error.captureStackTrace) {
+                Error.captureStackTrace(this, ErrorType);
+            } else {
+                this.stack = (new Error(this.message)).stack;
+            }
+        };
+        ErrorType.prototype = Object.create(parent.prototype);
+        ErrorType.prototype.constructor = ErrorType;
+        ErrorType.prototype.name = name;
+        return ErrorType;
+    }
+
+    /**
+     * The parent of all the errors of the kit.
+     * @constructor
+     * @global
+     * @alias Errors:PrismicError
+     */
+    var PrismicError = errorType('PrismicError', Error, function(message) {
+        return message;
+    });
+
+    /**
+     * The parent of all the errors passed by the request handlers; it has the requested url,
+     * and a kind: "http", "network", "timeout", "abort" or "parse".
+     * @constructor
+     * @global
+     * @alias Errors:RequestError
+     */
+    var RequestError = errorType('RequestError', PrismicError, function(message, url) {
+        this.url = url;
+        return message;
+    });
+
+    /**
+     * The API responded with an unexpected status code; the error has the status, the url and the body of the response.
+     * @constructor
+     * @global
+     * @alias Errors:HttpError
+     */
+    var HttpError = errorType('HttpError', RequestError, function(status, url, body) {
+        this.status = status;
+        this.url = url;
+        this.body = body;
+        return "Unexpected status code [" + status + "] on URL " + url;
+    });
+    HttpError.prototype.kind = 'http';
+
+    /**
+     * The API could not be reached (DNS failure, connection refused or reset, CORS refusal, ...).
+     * @constructor
+     * @global
+     * @alias Errors:NetworkError
+     */
+    var NetworkError = errorType('NetworkError', RequestError, function(message, url) {
+        this.url = url;
+        return message;
+    });
+    NetworkError.prototype.kind = 'network';
+
+    /**
+     * The API did not respond within the timeout of the request options.
+     * @constructor
+     * @global
+     * @alias Errors:TimeoutError
+     */
+    var TimeoutError = errorType('TimeoutError', RequestError, function(url) {
+        this.url = url;
+        return "Request timeout on URL " + url;
+    });
+    TimeoutError.prototype.kind = 'timeout';
+
+    /**
+     * The request was aborted through the signal of the request options.
+     * @constructor
+     * @global
+     * @alias Errors:AbortError
+     */
+    var AbortError = errorType('AbortError', RequestError, function(url) {
+        this.url = url;
+        return "Request aborted on URL " + url;
+    });
+    AbortError.prototype.kind = 'abort';
+
+    /**
+     * The API responded with a document that is not valid JSON, or not what the kit expected.
+     * @constructor
+     * @global
+     * @alias Errors:ParseError
+     */
+    var ParseError = errorType('ParseError', RequestError, function(message, url) {
+        this.url = url;
+        return message;
+    });
+    ParseError.prototype.kind = 'parse';
+
+    /**
+     * A predicate is invalid: either it was refused while being built with Prismic.Predicates,
+     * or the API refused the query (then the error also has the url, status and body of the response).
+     * @constructor
+     * @global
+     * @alias Errors:InvalidPredicateError
+     */
+    var InvalidPredicateError = errorType('InvalidPredicateError', PrismicError, function(message, url, status, body) {
+        this.url = url;
+        this.status = status;
+        this.body = body;
+        return message;
+    });
+
+    /**
+     * A field that doesn't exist in the form was set on a SearchForm.
+     * @constructor
+     * @global
+     * @alias Errors:UnknownFormFieldError
+     */
+    var UnknownFormFieldError = errorType('UnknownFormFieldError', PrismicError, function(field, form) {
+        this.field = field;
+        this.form = form;
+        return "Unknown field " + field;
+    });
+
+    /**
+     * A value that doesn't match the type of the field was set on a SearchForm.
+     * @constructor
+     * @global
+     * @alias Errors:InvalidFormFieldError
+     */
+    var InvalidFormFieldError = errorType('InvalidFormFieldError', PrismicError, function(field, value, type, form) {
+        this.field = field;
+        this.value = value;
+        this.type = type;
+        this.form = form;
+        return "Invalid value " + (typeof value == 'string' ? '"' + value + '"' : String(value)) + " for the " + type + " field " + field + " of the form " + form;
+    });
+
+    /**
+     * The /api document has no master ref.
+     * @constructor
+     * @global
+     * @alias Errors:NoMasterRefError
+     */
+    var NoMasterRefError = errorType('NoMasterRefError', PrismicError, function() {
+        return "No master ref.";
+    });
+
+    /**
+     * The storages that ApiCache can work with all have the same interface:
+     *   - get(key) returns the value stored for the key, or null if it is missing or expired
+     *   - set(key, value, ttl) stores the value for ttl seconds (forever if ttl is 0 or missing)
+     *   - remove(key) removes the value stored for the key
+     *   - clear() removes all the values
+     * Any object implementing these methods can be passed as the maybeApiCache argument of Prismic.Api.
+     */
+
+    /**
+     * Tells whether a cache entry is expired
+     *
+     * @private
+     */
+    function isExpiredEntry(entry) {
+        return !!entry.expiredIn && entry.expiredIn < Date.now();
+    }
+
+    /**
+     * Builds a cache entry that expires after ttl seconds
+     *
+     * @private
+     */
+    function cacheEntry(value, ttl) {
+        return {
+            data: value,
+            expiredIn: ttl ? (Date.now() + (ttl * 1000)) : 0
+        };
+    }
 
     /**
-     * Api cache
+     * In-memory storage keeping at most a given number of entries; the least recently used entries get evicted first.
+     * This is the default storage of ApiCache.
+     *
+     * @constructor
+     * @global
+     * @alias Cache:LRUCache
+     * @param {number} limit - the maximum number of entries, 100 by default
+     */
+    function LRUCache(limit) {
+        this.limit = limit || 100;
+        this.entries = {};
+        this.keys = [];
+    }
+
+    LRUCache.prototype = {
+
+        get: function(key) {
+            var entry = this.entries.hasOwnProperty(key) ? this.entries[key] : null;
+            if (!entry) {
+                return null;
+            }
+            if (isExpiredEntry(entry)) {
+                this.remove(key);
+                return null;
+            }
+            this.touch(key);
+            return entry.data;
+        },
+
+        set: function(key, value, ttl) {
+            this.entries[key] = cacheEntry(value, ttl);
+            this.touch(key);
+            while (this.keys.length > this.limit) {
+                delete this.entries[this.keys.shift()];
+            }
+        },
+
+        remove: function(key) {
+            var index = this.keys.indexOf(key);
+            if (index > -1) {
+                this.keys.splice(index, 1);
+            }
+            delete this.entries[key];
+        },
+
+        clear: function() {
+            this.entries = {};
+            this.keys = [];
+        },
+
+        /**
+         * Marks the key as the most recently used one
+         *
+         * @private
+         */
+        touch: function(key) {
+            var index = this.keys.indexOf(key);
+            if (index > -1) {
+                this.keys.splice(index, 1);
+            }
+            this.keys.push(key);
+        }
+    };
+
+    /**
+     * Storage keeping its entries in the browser's localStorage, so they survive page reloads.
+     * Entries are serialized as JSON; if the storage is full or unavailable, values are simply not cached.
+     *
+     * @constructor
+     * @global
+     * @alias Cache:LocalStorageCache
+     * @param {string} prefix - the prefix of the localStorage keys, "prismic:" by default
+     * @param {Storage} storage - the storage to use, window.localStorage by default
+     */
+    function LocalStorageCache(prefix, storage) {
+        this.prefix = prefix || 'prismic:';
+        this.storage = storage || (typeof localStorage !== 'undefined' ? localStorage : null);
+    }
+
+    LocalStorageCache.prototype = {
+
+        get: function(key) {
+            var entry;
+            try {
+                entry = JSON.parse(this.storage.getItem(this.prefix + key));
+            } catch (e) {
+                entry = null;
+            }
+            if (!entry) {
+                return null;
+            }
+            if (isExpiredEntry(entry)) {
+                this.remove(key);
+                return null;
+            }
+            return entry.data;
+        },
+
+        set: function(key, value, ttl) {
+            try {
+                this.storage.setItem(this.prefix + key, JSON.stringify(cacheEntry(value, ttl)));
+            } catch (e) {
+                // Quota exceeded or storage disabled: the value won't be cached
+            }
+        },
+
+        remove: function(key) {
+            try {
+                this.storage.removeItem(this.prefix + key);
+            } catch (e) {}
+        },
+
+        clear: function() {
+            var keys = [], i;
+            try {
+                for (i = 0; i < this.storage.length; i++) {
+                    if (this.storage.key(i).indexOf(this.prefix) === 0) {
+                        keys.push(this.storage.key(i));
+                    }
+                }
+                for (i = 0; i < keys.length; i++) {
+                    this.storage.removeItem(keys[i]);
+                }
+            } catch (e) {}
+        }
+    };
+
+    /**
+     * Storage keeping its entries as JSON files in a directory, so they survive process restarts (Node.js only).
+     *
+     * @constructor
+     * @global
+     * @alias Cache:FileSystemCache
+     * @param {string} directory - the directory of the cache files, created if it doesn't exist
+     */
+    function FileSystemCache(directory) {
+        this.directory = directory;
+        this.fs = require('fs');
+        this.path = require('path');
+        this.crypto = require('crypto');
+    }
+
+    FileSystemCache.prototype = {
+
+        get: function(key) {
+            var entry;
+            try {
+                entry = JSON.parse(this.fs.readFileSync(this.file(key), 'utf8'));
+            } catch (e) {
+                return null;
+            }
+            if (isExpiredEntry(entry)) {
+                this.remove(key);
+                return null;
+            }
+            return entry.data;
+        },
+
+        set: function(key, value, ttl) {
+            var file = this.file(key);
+            var tmp = file + '.' + process.pid + '.tmp';
+            try {
+                if (!this.fs.existsSync(this.directory)) {
+                    this.fs.mkdirSync(this.directory);
+                }
+                // Written to a temporary file first, so a concurrent get never reads a partial entry
+                this.fs.writeFileSync(tmp, JSON.stringify(cacheEntry(value, ttl)));
+                this.fs.renameSync(tmp, file);
+            } catch (e) {
+                // Unwritable directory: the value won't be cached
+            }
+        },
+
+        remove: function(key) {
+            try {
+                this.fs.unlinkSync(this.file(key));
+            } catch (e) {}
+        },
+
+        clear: function() {
+            var self = this;
+            try {
+                this.fs.readdirSync(this.directory).forEach(function(name) {
+                    if (/\.json$/.test(name)) {
+                        self.fs.unlinkSync(self.path.join(self.directory, name));
+                    }
+                });
+            } catch (e) {}
+        },
+
+        /**
+         * The file an entry is stored in; keys are hashed as they are URLs
+         *
+         * @private
+         */
+        file: function(key) {
+            return this.path.join(this.directory, this.crypto.createHash('sha1').update(key).digest('hex') + '.json');
+        }
+    };
+
+    /**
+     * Api cache: fetches values at most once at a time, and keeps them in a storage.
+     *
+     * @constructor
+     * @global
+     * @alias Cache:ApiCache
+     * @param {object} maybeStore - the storage of the values, a new LRUCache by default
      */
-    function ApiCache() {
-        this.cache = {};
-        this.states = {};
+    function ApiCache(maybeStore) {
+        this.store = maybeStore || new LRUCache();
+        this.pending = {};
     }
 
     ApiCache.prototype = {
 
         get: function(key) {
-            var maybeEntry = this.cache[key];
-            if(maybeEntry && (!this.isExpired(key) || (this.isExpired(key) && this.isInProgress(key)))) {
-                return maybeEntry.data;
-            } else return null;
+            return this.store.get(key);
         },
 
         set: function(key, value, ttl) {
-            this.cache[key] = {
-                data: value,
-                expiredIn: ttl ? (Date.now() + (ttl * 1000)) : 0
-            };
+            this.store.set(key, value, ttl);
         },
 
+        /**
+         * Calls done with the value stored for the key; if there is none, fetches it with fvalue and stores it for ttl seconds.
+         * Concurrent calls for the same key share the same fetch. Failed fetches are not stored.
+         *
+         * @param {string} key - the key of the value
+         * @param {number} ttl - how long the fetched value is stored, in seconds
+         * @param {function} fvalue - fetches the value, taking a callback(error, value, xhr)
+         * @param {function} done - called with (error, value, xhr)
+         */
         getOrSet: function(key, ttl, fvalue, done) {
             var found = this.get(key);
             var self = this;
-            if(!found) {
-                this.states[key] = 'progress';
-                var value =  fvalue(function(error, value, xhr) {
-                    self.set(key, value, ttl);
-                    delete self.states[key];
-                    done && done(error, value, xhr);
-                });
-            } else {
+            if(found !== null && found !== undefined) {
                 done && done(null, found);
-            }
-        },
-
-        isExpired: function(key) {
-            var entry = this.cache[key];
-            if(entry) {
-                return entry.expiredIn != 0 && entry.expiredIn < Date.now();
+            } else if(this.pending[key]) {
+                // Already being fetched: wait for that fetch instead of starting another one
+                this.pending[key].push(done);
             } else {
-                return false;
+                this.pending[key] = [done];
+                fvalue(function(error, value, xhr) {
+                    var callbacks = self.pending[key];
+                    if (!error) {
+                        self.set(key, value, ttl);
+                    }
+                    delete self.pending[key];
+                    callEach(callbacks, [error, value, xhr]);
+                });
             }
         },
 
         isInProgress: function(key) {
-            return this.states[key] == 'progress';
+            return !!this.pending[key];
         },
 
         exists: function(key) {
-            return !!this.cache[key];
+            var value = this.get(key);
+            return value !== null && value !== undefined;
         },
 
         remove: function(key) {
-            return delete this.cache[key];
+            this.store.remove(key);
         },
 
-        clear: function(key) {
-            this.cache = {};
+        clear: function() {
+            this.store.clear();
         }
     };
 
+    // The search results of the Api objects created without any cache, shared by all of them:
+    // an Api object is often created for each page request, and would otherwise start with an empty cache
+    var sharedQueryCache = null;
+
     // -- Export Globally
 
+    /**
+     * The name of the cookie holding the ref to preview, set by the prismic.io toolbar and by your preview route
+     * @global
+     */
+    var PREVIEW_COOKIE = 'io.prismic.preview';
+
+    /**
+     * Reads the ref to preview from a cookie string, so the pages can be rendered with it instead of the master ref.
+     * Typical use in Node.js: var ref = Prismic.previewRef(req.headers.cookie) || api.master()
+     *
+     * @global
+     * @param {string} cookies - The cookie string, like the Cookie header of a request; document.cookie by default in the browser
+     * @returns {string} - The ref to preview, or null if there is none
+     */
+    function previewRef(cookies) {
+        if (cookies === undefined && typeof document != 'undefined') {
+            cookies = document.cookie;
+        }
+        var parts = (cookies || '').split(';');
+        for (var i = 0; i < parts.length; i++) {
+            var separator = parts[i].indexOf('='),
+                name = parts[i].slice(0, separator).trim();
+            if (separator > -1 && name == PREVIEW_COOKIE) {
+                var value = parts[i].slice(separator + 1).trim().replace(/^"(.*)"$/, '$1');
+                try {
+                    return decodeURIComponent(value) || null;
+                } catch (e) {
+                    return value || null;
+                }
+            }
+        }
+        return null;
+    }
+
     Global.Prismic = {
-        Api: prismic
+        Api: prismic,
+        PREVIEW_COOKIE: PREVIEW_COOKIE,
+        previewRef: previewRef,
+        Errors: {
+            PrismicError: PrismicError,
+            RequestError: RequestError,
+            HttpError: HttpError,
+            NetworkError: NetworkError,
+            TimeoutError: TimeoutError,
+            AbortError: AbortError,
+            ParseError: ParseError,
+            InvalidPredicateError: InvalidPredicateError,
+            UnknownFormFieldError: UnknownFormFieldError,
+            InvalidFormFieldError: InvalidFormFieldError,
+            NoMasterRefError: NoMasterRefError
+        },
+        Cache: {
+            ApiCache: ApiCache,
+            LRUCache: LRUCache,
+            LocalStorageCache: LocalStorageCache,
+            FileSystemCache: FileSystemCache
+        }
     };
 
 }(typeof exports === 'object' && exports ? exports : (typeof module === "object" && module && typeof module.exports === "object" ? module.exports : window)));
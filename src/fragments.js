@@ -16,10 +16,11 @@
          * Turns the fragment into a useable HTML version of it.
          * If the native HTML code doesn't suit your design, this function is meant to be overriden.
          *
+         * @params {object} ctx - optional ctx object; set ctx.escapeHtml to false if the content is trusted and must not be escaped
          * @returns {string} - basic HTML code for the fragment
          */
-        asHtml: function () {
-            return "<span>" + this.value + "</span>";
+        asHtml: function (ctx) {
+            return "<span>" + escapeHtml(this.value, ctx) + "</span>";
         },
 
         /**
@@ -61,7 +62,7 @@
          * @returns {string} - basic HTML code for the fragment
          */
         asHtml: function (ctx) {
-            return "<a href=\""+this.url(ctx)+"\">"+this.url(ctx)+"</a>";
+            return "<a href=\""+escapeUrl(this.url(ctx), ctx)+"\">"+escapeHtml(this.url(ctx), ctx)+"</a>";
         },
         /**
          * Returns the URL of the document link.
@@ -101,10 +102,11 @@
          * Turns the fragment into a useable HTML version of it.
          * If the native HTML code doesn't suit your design, this function is meant to be overriden.
          *
+         * @params {object} ctx - optional ctx object; set ctx.escapeHtml to false if the content is trusted and must not be escaped
          * @returns {string} - basic HTML code for the fragment
          */
-        asHtml: function () {
-            return "<a href=\""+this.url()+"\">"+this.url()+"</a>";
+        asHtml: function (ctx) {
+            return "<a href=\""+escapeUrl(this.url(), ctx)+"\">"+escapeHtml(this.url(), ctx)+"</a>";
         },
         /**
          * Returns the URL of the link.
@@ -143,10 +145,11 @@
          * Turns the fragment into a useable HTML version of it.
          * If the native HTML code doesn't suit your design, this function is meant to be overriden.
          *
+         * @params {object} ctx - optional ctx object; set ctx.escapeHtml to false if the content is trusted and must not be escaped
          * @returns {string} - basic HTML code for the fragment
          */
-        asHtml: function () {
-            return "<a href=\""+this.url()+"\">"+this.value.file.name+"</a>";
+        asHtml: function (ctx) {
+            return "<a href=\""+escapeUrl(this.url(), ctx)+"\">"+escapeHtml(this.value.file.name, ctx)+"</a>";
         },
         /**
          * Returns the URL of the link.
@@ -185,10 +188,11 @@
          * Turns the fragment into a useable HTML version of it.
          * If the native HTML code doesn't suit your design, this function is meant to be overriden.
          *
+         * @params {object} ctx - optional ctx object; set ctx.escapeHtml to false if the content is trusted and must not be escaped
          * @returns {string} - basic HTML code for the fragment
          */
-        asHtml: function () {
-            return "<a href=\""+this.url()+"\"><img src=\""+this.url()+"\" alt=\"" + this.alt + "\"></a>";
+        asHtml: function (ctx) {
+            return "<a href=\""+escapeUrl(this.url(), ctx)+"\"><img src=\""+escapeUrl(this.url(), ctx)+"\" alt=\"" + escapeAttribute(this.alt, ctx) + "\"></a>";
         },
         /**
          * Returns the URL of the link.
@@ -227,10 +231,11 @@
          * Turns the fragment into a useable HTML version of it.
          * If the native HTML code doesn't suit your design, this function is meant to be overriden.
          *
+         * @params {object} ctx - optional ctx object; set ctx.escapeHtml to false if the content is trusted and must not be escaped
          * @returns {string} - basic HTML code for the fragment
          */
-        asHtml: function () {
-            return "<span>" + this.value + "</span>";
+        asHtml: function (ctx) {
+            return "<span>" + escapeHtml(this.value, ctx) + "</span>";
         },
 
         /**
@@ -261,10 +266,11 @@
          * Turns the fragment into a useable HTML version of it.
          * If the native HTML code doesn't suit your design, this function is meant to be overriden.
          *
+         * @params {object} ctx - optional ctx object; set ctx.escapeHtml to false if the content is trusted and must not be escaped
          * @returns {string} - basic HTML code for the fragment
          */
-        asHtml: function () {
-            return "<span>" + this.value + "</span>";
+        asHtml: function (ctx) {
+            return "<span>" + escapeHtml(this.value, ctx) + "</span>";
         },
 
         /**
@@ -335,10 +341,11 @@
          * Turns the fragment into a useable HTML version of it.
          * If the native HTML code doesn't suit your design, this function is meant to be overriden.
          *
+         * @params {object} ctx - optional ctx object; set ctx.escapeHtml to false if the content is trusted and must not be escaped
          * @returns {string} - basic HTML code for the fragment
          */
-        asHtml: function () {
-            return "<span>" + this.value + "</span>";
+        asHtml: function (ctx) {
+            return "<span>" + escapeHtml(this.value, ctx) + "</span>";
         },
 
         /**
@@ -367,22 +374,39 @@
 
     DateFragment.prototype = {
         /**
-         * Turns the fragment into a useable HTML version of it.
+         * Formats the date with a pattern (see formatDate); a Date fragment is a day of the calendar, so no time zone applies.
+         * Typical use: doc.get('blog-post.date').format('D MMMM YYYY', { locale: 'fr-FR' })
+         *
+         * @param {string} pattern - the pattern, like "YYYY-MM-DD" or "dddd D MMMM YYYY"
+         * @param {object} ctx - optional ctx object, with the locale of the month and day names in ctx.locale
+         * @returns {string} - the formatted date
+         */
+        format: function(pattern, ctx) {
+            return formatDate(this.value, pattern, ctx && ctx.locale, 'UTC');
+        },
+
+        /**
+         * Turns the fragment into a useable HTML version of it: a <time> element, with the date in ISO format in its datetime attribute.
          * If the native HTML code doesn't suit your design, this function is meant to be overriden.
          *
-         * @returns {string} - basic HTML code for the fragment
+         * @params {object} ctx - optional ctx object, with the pattern in ctx.dateFormat ("YYYY-MM-DD" by default) and the locale in ctx.locale
+         * @returns {string} - basic HTML code for the fragment, or an empty string if the date is invalid
          */
-        asHtml: function () {
-            return "<time>" + this.value + "</time>";
+        asHtml: function (ctx) {
+            if (isNaN(this.value.getTime())) {
+                return '';
+            }
+            return '<time datetime="' + this.format('YYYY-MM-DD') + '">' + escapeHtml(this.asText(ctx), ctx) + "</time>";
         },
 
         /**
          * Turns the fragment into a useable text version of it.
          *
+         * @params {object} ctx - optional ctx object, with the pattern in ctx.dateFormat ("YYYY-MM-DD" by default) and the locale in ctx.locale
          * @returns {string} - basic text version of the fragment
          */
-         asText: function() {
-            return this.value.toString();
+         asText: function(ctx) {
+            return this.format((ctx && ctx.dateFormat) || 'YYYY-MM-DD', ctx);
          }
     };
 
@@ -404,25 +428,179 @@
 
     Timestamp.prototype = {
         /**
-         * Turns the fragment into a useable HTML version of it.
+         * Formats the timestamp with a pattern (see formatDate), in a time zone.
+         * Typical use: doc.get('event.start').format('D MMMM YYYY HH:mm', { locale: 'fr-FR', timeZone: 'Europe/Paris' })
+         *
+         * @param {string} pattern - the pattern, like "YYYY-MM-DD HH:mm" or "dddd D MMMM YYYY h:mm A"
+         * @param {object} ctx - optional ctx object, with the locale of the month and day names in ctx.locale,
+         * and the IANA time zone in ctx.timeZone, like "Europe/Paris" ("UTC" by default, so the result is the same everywhere)
+         * @returns {string} - the formatted timestamp
+         */
+        format: function(pattern, ctx) {
+            return formatDate(this.value, pattern, ctx && ctx.locale, (ctx && ctx.timeZone) || 'UTC');
+        },
+
+        /**
+         * Turns the fragment into a useable HTML version of it: a <time> element, with the timestamp in ISO format in its datetime attribute.
          * If the native HTML code doesn't suit your design, this function is meant to be overriden.
          *
-         * @returns {string} - basic HTML code for the fragment
+         * @params {object} ctx - optional ctx object, with the pattern in ctx.timestampFormat ("YYYY-MM-DDTHH:mm:ssZ" by default),
+         * the locale in ctx.locale and the time zone in ctx.timeZone
+         * @returns {string} - basic HTML code for the fragment, or an empty string if the date is invalid
          */
-        asHtml: function () {
-            return "<time>" + this.value + "</time>";
+        asHtml: function (ctx) {
+            if (isNaN(this.value.getTime())) {
+                return '';
+            }
+            return '<time datetime="' + this.value.toISOString() + '">' + escapeHtml(this.asText(ctx), ctx) + "</time>";
         },
 
         /**
          * Turns the fragment into a useable text version of it.
          *
+         * @params {object} ctx - optional ctx object, with the pattern in ctx.timestampFormat ("YYYY-MM-DDTHH:mm:ssZ" by default),
+         * the locale in ctx.locale and the time zone in ctx.timeZone
          * @returns {string} - basic text version of the fragment
          */
-         asText: function() {
-            return this.value.toString();
+         asText: function(ctx) {
+            return this.format((ctx && ctx.timestampFormat) || 'YYYY-MM-DDTHH:mm:ssZ', ctx);
          }
     };
 
+    var MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'],
+        DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+    /**
+     * Formats a date with a pattern, in a time zone, the same way in Node.js and in the browsers. The tokens of the pattern are:
+     * YYYY and YY (year), MMMM, MMM, MM and M (month), DD and D (day of the month), dddd and ddd (day of the week),
+     * HH and H (hours, 0 to 23), hh and h (hours, 1 to 12), mm (minutes), ss (seconds), A (AM or PM), and Z (offset, like +02:00);
+     * text between square brackets is kept as is, like in "[Updated on] D MMMM".
+     * Month and day names are in the locale when Intl is available, in English otherwise; so are AM and PM, with Intl.DateTimeFormat.formatToParts.
+     * In a pattern with the day of the month, months take the form they have next to it, like "1 апреля 2014" in Russian.
+     * As dates get formatted while pages render, this never throws: unknown locales fall back on "en-US", unknown time zones on UTC.
+     *
+     * @private
+     * @param {Date} date - the date
+     * @param {string} pattern - the pattern
+     * @param {string} locale - the locale, like "fr-FR"; "en-US" if missing, so the result doesn't depend on the environment
+     * @param {string} timeZone - the IANA time zone, like "Europe/Paris" or "UTC"
+     * @returns {string} - the formatted date, or an empty string if the date is invalid
+     */
+    function formatDate(date, pattern, locale, timeZone) {
+        if (isNaN(date.getTime())) {
+            return '';
+        }
+
+        var parts = zonedParts(date, timeZone),
+            hours12 = parts.hours % 12 || 12,
+            offset = Math.abs(parts.offset),
+            // Tokens are case-sensitive: only D and DD stand for the day of the month, outside of the literals
+            withDay = /D/.test(pattern.replace(/\[[^\]]*\]/g, ''));
+
+        var pad = function(n) {
+            return n < 10 ? '0' + n : String(n);
+        };
+        var formatter = function(options) {
+            options.timeZone = 'UTC';
+            try {
+                return new Intl.DateTimeFormat(locale || 'en-US', options);
+            } catch (e) {
+                return new Intl.DateTimeFormat('en-US', options);
+            }
+        };
+        // The part of the given type of the date formatted with the options, in the locale; null without Intl.DateTimeFormat.formatToParts
+        var localizedPart = function(options, type) {
+            var format = typeof Intl != 'undefined' ? formatter(options) : null;
+            var found = format && format.formatToParts ? format.formatToParts(new Date(parts.time)).filter(function(part) {
+                return part.type == type;
+            })[0] : null;
+            return found ? found.value : null;
+        };
+        var name = function(type, length, names, index) {
+            if (typeof Intl == 'undefined') {
+                return length == 'short' ? names[index].slice(0, 3) : names[index];
+            }
+            if (type == 'month' && withDay) {
+                // Some locales, like Japanese, write the month as a number next to the day: their month name is used then
+                var nextToDay = localizedPart({ day: 'numeric', month: length }, 'month');
+                if (nextToDay && !/^\d+$/.test(nextToDay)) {
+                    return nextToDay;
+                }
+            }
+            var options = {};
+            options[type] = length;
+            return formatter(options).format(new Date(parts.time));
+        };
+        return pattern.replace(/\[([^\]]*)\]|YYYY|YY|MMMM|MMM|MM|M|DD|D|dddd|ddd|HH|H|hh|h|mm|ss|A|Z/g, function(token, literal) {
+            switch (token) {
+                case 'YYYY': return String(parts.year);
+                case 'YY': return pad(parts.year % 100);
+                case 'MMMM': return name('month', 'long', MONTH_NAMES, parts.month);
+                case 'MMM': return name('month', 'short', MONTH_NAMES, parts.month);
+                case 'MM': return pad(parts.month + 1);
+                case 'M': return String(parts.month + 1);
+                case 'DD': return pad(parts.day);
+                case 'D': return String(parts.day);
+                case 'dddd': return name('weekday', 'long', DAY_NAMES, parts.weekday);
+                case 'ddd': return name('weekday', 'short', DAY_NAMES, parts.weekday);
+                case 'HH': return pad(parts.hours);
+                case 'H': return String(parts.hours);
+                case 'hh': return pad(hours12);
+                case 'h': return String(hours12);
+                case 'mm': return pad(parts.minutes);
+                case 'ss': return pad(parts.seconds);
+                case 'A': return localizedPart({ hour: 'numeric', hour12: true }, 'dayPeriod') || (parts.hours < 12 ? 'AM' : 'PM');
+                case 'Z': return (parts.offset < 0 ? '-' : '+') + pad(Math.floor(offset / 60)) + ':' + pad(offset % 60);
+                default: return literal;
+            }
+        });
+    }
+
+    /**
+     * Splits a date into its components in a time zone: year, month (0 to 11), day, weekday (0 for Sunday), hours, minutes, seconds,
+     * offset from UTC in minutes, and time (a timestamp whose UTC components are the local ones).
+     * Time zones other than UTC need Intl; without it, or if Intl doesn't know the time zone, UTC is used.
+     *
+     * @private
+     */
+    function zonedParts(date, timeZone) {
+        var time = date.getTime() - date.getUTCMilliseconds();
+        if (timeZone && timeZone != 'UTC' && typeof Intl != 'undefined') {
+            var text = '';
+            try {
+                text = new Intl.DateTimeFormat('en-US', {
+                    timeZone: timeZone,
+                    hour12: false,
+                    year: 'numeric',
+                    month: '2-digit',
+                    day: '2-digit',
+                    hour: '2-digit',
+                    minute: '2-digit',
+                    second: '2-digit'
+                }).format(date);
+            } catch (e) {
+                // Unknown time zone: UTC is used
+            }
+            var m = /(\d+)\D+(\d+)\D+(\d+)\D+(\d+):(\d+):(\d+)/.exec(text);
+            if (m) {
+                // Some engines write midnight as 24:00:00
+                time = Date.UTC(+m[3], m[1] - 1, +m[2], m[4] % 24, +m[5], +m[6]);
+            }
+        }
+        var local = new Date(time);
+        return {
+            year: local.getUTCFullYear(),
+            month: local.getUTCMonth(),
+            day: local.getUTCDate(),
+            weekday: local.getUTCDay(),
+            hours: local.getUTCHours(),
+            minutes: local.getUTCMinutes(),
+            seconds: local.getUTCSeconds(),
+            offset: Math.round((time - (date.getTime() - date.getUTCMilliseconds())) / 60000),
+            time: time
+        };
+    }
+
     /**
      * Embodies an embed fragment
      * @constructor
@@ -430,34 +608,135 @@
      * @alias Fragments:Embed
      */
     function Embed(data) {
+        var oembed = (data && data.oembed) || {};
         /**
          * @field
          * @description the JSON object exactly as is returned in the "data" field of the JSON responses (see API documentation: https://developers.prismic.io/documentation/UjBe8bGIJ3EKtgBZ/api-documentation#json-responses)
          */
         this.value = data;
+        /**
+         * @field
+         * @description the URL of the embedded content, like "https://www.youtube.com/watch?v=Ye78F3-CuXY"
+         */
+        this.url = oembed.embed_url;
+        /**
+         * @field
+         * @description the oEmbed type of the content: "video", "photo", "rich" or "link"
+         */
+        this.type = oembed.type;
+        /**
+         * @field
+         * @description the name of the provider, like "YouTube"
+         */
+        this.provider = oembed.provider_name;
+        /**
+         * @field
+         * @description the title of the content
+         */
+        this.title = oembed.title;
+        /**
+         * @field
+         * @description the width of the content, in pixels
+         */
+        this.width = oembed.width;
+        /**
+         * @field
+         * @description the height of the content, in pixels
+         */
+        this.height = oembed.height;
+        /**
+         * @field
+         * @description the thumbnail of the content as an ImageView, or null if the provider has none
+         */
+        this.thumbnail = oembed.thumbnail_url ? new ImageView(oembed.thumbnail_url, oembed.thumbnail_width, oembed.thumbnail_height, oembed.title || "") : null;
     }
 
     Embed.prototype = {
         /**
-         * Turns the fragment into a useable HTML version of it.
+         * Turns the fragment into a useable HTML version of it: the HTML code of the provider, in a <div> describing the content.
+         * With ctx.embed.clickToLoad, the HTML code of the provider (and its iframe) is only loaded once the user clicks
+         * on a placeholder showing the thumbnail and the title; call Prismic.Fragments.activateEmbeds() in the page to make it work.
+         * Note that the thumbnail is hosted by the provider, so showing it tells the provider about the visit before the user agrees to it:
+         * set ctx.embed.thumbnail to false to leave it out, or to a function(url, oembed) returning the URL to show instead,
+         * like the one of a proxy on your own host.
          * If the native HTML code doesn't suit your design, this function is meant to be overriden.
          *
+         * @params {object} ctx - optional ctx object; set ctx.embed.clickToLoad to true to render the click-to-load placeholder,
+         * and ctx.embed.thumbnail to false or to a function to leave out or rewrite the thumbnail of the placeholder
          * @returns {string} - basic HTML code for the fragment
          */
-        asHtml: function () {
-            return this.value.oembed.html;
+        asHtml: function (ctx) {
+            return embedHtml(this.value.oembed, [], ctx);
         },
 
         /**
          * Turns the fragment into a useable text version of it.
          *
-         * @returns {string} - basic text version of the fragment
+         * @returns {string} - the title of the content, or else its URL
          */
          asText: function() {
-            return "";
+            return this.title || this.url || "";
          }
     };
 
+    /**
+     * Builds the HTML code of an oEmbed content, for the Embed fragments and the embed blocks of StructuredText.
+     * The HTML code of the provider is trusted as is, it isn't escaped.
+     *
+     * @private
+     * @param {object} oembed - the oEmbed payload, as returned by the API
+     * @param {array} classes - the classes of the <div>
+     * @param {object} ctx - the ctx object, for escaping and for ctx.embed (clickToLoad, buttonText and thumbnail)
+     * @returns {string} - the HTML code
+     */
+    function embedHtml(oembed, classes, ctx) {
+        oembed = oembed || {};
+        var attributes = ' data-oembed="' + escapeAttribute(oembed.embed_url || '', ctx) + '"' +
+            ' data-oembed-type="' + escapeAttribute(oembed.type || '', ctx) + '"' +
+            ' data-oembed-provider="' + escapeAttribute((oembed.provider_name || '').toLowerCase(), ctx) + '"' +
+            (classes.length ? ' class="' + escapeAttribute(classes.join(' '), ctx) + '"' : '');
+
+        if (!(ctx && ctx.embed && ctx.embed.clickToLoad)) {
+            return '<div' + attributes + '>' + (oembed.html || '') + '</div>';
+        }
+
+        // The provider's code is kept in an attribute, where it is inert in every browser, until activateEmbeds() loads it on click;
+        // it is always escaped there, as it couldn't be stored otherwise
+        var title = oembed.title || oembed.embed_url || '',
+            thumbnailUrl = ctx.embed.thumbnail === false ? null : oembed.thumbnail_url;
+        if (thumbnailUrl && typeof ctx.embed.thumbnail == 'function') {
+            thumbnailUrl = ctx.embed.thumbnail(thumbnailUrl, oembed);
+        }
+        var thumbnail = thumbnailUrl ? '<img src="' + escapeUrl(thumbnailUrl, ctx) + '" alt="">' : '';
+        return '<div' + attributes + ' data-oembed-click-to-load="' + escapeAttribute(oembed.html || '') + '">' +
+            '<button type="button" class="oembed-placeholder">' + thumbnail +
+            '<span class="oembed-title">' + escapeHtml(title, ctx) + '</span>' +
+            '<span class="oembed-load">' + escapeHtml(ctx.embed.buttonText || ('Load content from ' + (oembed.provider_name || 'the provider')), ctx) + '</span>' +
+            '</button>' +
+            '</div>';
+    }
+
+    /**
+     * Makes the embeds rendered with ctx.embed.clickToLoad load the content of their provider when they are clicked.
+     * Call it once the HTML code is in the page (browser only).
+     * Note that the <script> tags of the provider's code don't run when loaded this way: iframe-based embeds (like videos and maps) work best.
+     *
+     * @param {Element} root - the element containing the embeds, document by default
+     */
+    function activateEmbeds(root) {
+        root = root || document;
+        var embeds = root.querySelectorAll('[data-oembed-click-to-load]');
+        Array.prototype.forEach.call(embeds, function(embed) {
+            var button = embed.querySelector('button');
+            if (!button) return;
+            button.addEventListener('click', function() {
+                var html = embed.getAttribute('data-oembed-click-to-load');
+                embed.removeAttribute('data-oembed-click-to-load');
+                embed.innerHTML = html;
+            });
+        });
+    }
+
     /**
      * Embodies an Image fragment
      * @constructor
@@ -491,13 +770,84 @@
             }
         },
         /**
-         * Turns the fragment into a useable HTML version of it.
+         * Turns the fragment into a useable HTML version of it: an <img> of the main view,
+         * which can be made responsive with a ctx.image object:
+         * - srcset: true to let the browser pick among all the views, by width
+         * - sizes: the sizes attribute telling the browser how wide the image is displayed, like "(max-width: 600px) 100vw, 50vw"
+         * - lazy: true to load the image only when it gets close to the viewport
+         * - breakpoints: an array of { media: "(max-width: 600px)", view: "mobile" } to render a <picture> with one source per media query
          * If the native HTML code doesn't suit your design, this function is meant to be overriden.
          *
+         * @params {object} ctx - optional ctx object; set ctx.escapeHtml to false if the content is trusted and must not be escaped
          * @returns {string} - basic HTML code for the fragment
          */
-        asHtml: function () {
-            return this.main.asHtml()
+        asHtml: function (ctx) {
+            var options = (ctx && ctx.image) || {},
+                attributes = '';
+
+            if (options.srcset) {
+                attributes += ' srcset="' + escapeAttribute(this.srcset(), ctx) + '"';
+                if (options.sizes) {
+                    attributes += ' sizes="' + escapeAttribute(options.sizes, ctx) + '"';
+                }
+            }
+            if (options.lazy) {
+                attributes += ' loading="lazy" decoding="async"';
+            }
+            var img = imgTag(this.main, attributes, ctx);
+
+            if (!options.breakpoints) {
+                return img;
+            }
+            var sources = options.breakpoints.map(function(breakpoint) {
+                var view = this.getView(breakpoint.view);
+                return view ? '<source media="' + escapeAttribute(breakpoint.media, ctx) + '" srcset="' + escapeAttribute(view.url, ctx) + '">' : '';
+            }, this);
+            return '<picture>' + sources.join('') + img + '</picture>';
+        },
+
+        /**
+         * Picks the smallest view that is at least as wide as the requested width, or else the widest view.
+         * Typical use: doc.getImage('article.image').bestView(2 * 320).url
+         *
+         * @param {number} targetWidth - the width the image is displayed at, in pixels (times the device pixel ratio)
+         * @returns {ImageView} - the view
+         */
+        bestView: function(targetWidth) {
+            var best = this.main;
+            for (var name in this.views) {
+                var view = this.views[name];
+                var covers = view.width >= targetWidth,
+                    bestCovers = best.width >= targetWidth;
+                if ((covers && (!bestCovers || view.width < best.width)) || (!covers && !bestCovers && view.width > best.width)) {
+                    best = view;
+                }
+            }
+            return best;
+        },
+
+        /**
+         * Builds the value of a srcset attribute from all the views of the image, ordered by width;
+         * when several views have the same width, the first one is kept.
+         *
+         * @returns {string} - the srcset, like "http://.../icon.png 250w, http://.../main.png 500w"
+         */
+        srcset: function() {
+            var views = [this.main], widths = {};
+            for (var name in this.views) {
+                views.push(this.views[name]);
+            }
+            return views.filter(function(view) {
+                if (!view.width || widths[view.width]) {
+                    return false;
+                }
+                widths[view.width] = true;
+                return true;
+            }).sort(function(a, b) {
+                return a.width - b.width;
+            }).map(function(view) {
+                return view.url + ' ' + view.width + 'w';
+            }).join(', ');
         },
 
         /**
@@ -510,6 +860,77 @@
          }
     };
 
+    /**
+     * Builds an ImageView from an image as described by the API, with its url, dimensions and alt.
+     *
+     * @private
+     */
+    function imageView(img) {
+        var dimensions = img.dimensions || {};
+        return new ImageView(
+            img.url,
+            dimensions.width,
+            dimensions.height,
+            img.alt
+        );
+    }
+
+    /**
+     * Sets query parameters in a URL, replacing the ones with the same name; the undefined ones are left out.
+     *
+     * @private
+     * @param {string} url - the URL
+     * @param {object} params - the values of the parameters, by name
+     * @returns {string} - the new URL
+     */
+    function setQueryParams(url, params) {
+        var hashIndex = url.indexOf('#'),
+            hash = hashIndex > -1 ? url.slice(hashIndex) : '',
+            base = hashIndex > -1 ? url.slice(0, hashIndex) : url,
+            queryIndex = base.indexOf('?'),
+            path = queryIndex > -1 ? base.slice(0, queryIndex) : base,
+            query = queryIndex > -1 ? base.slice(queryIndex + 1).split('&') : [],
+            name;
+
+        query = query.filter(function(pair) {
+            var key = decodeURIComponent(pair.split('=')[0]);
+            return pair && !(params.hasOwnProperty(key) && params[key] !== undefined);
+        });
+        for (name in params) {
+            if (params[name] !== undefined) {
+                query.push(encodeURIComponent(name) + '=' + encodeURIComponent(params[name]));
+            }
+        }
+        return path + (query.length ? '?' + query.join('&') : '') + hash;
+    }
+
+    /**
+     * Builds the <img> tag of an ImageView.
+     *
+     * @private
+     * @param {ImageView} view - the view
+     * @param {string} attributes - extra attributes, already escaped, starting with a space
+     * @param {object} ctx - the ctx object, for escaping
+     */
+    function imgTag(view, attributes, ctx) {
+        return '<img src="' + escapeUrl(view.url, ctx) + '"' + attributes +
+            ' width="' + escapeAttribute(view.width, ctx) + '" height="' + escapeAttribute(view.height, ctx) + '"' +
+            ' alt="' + escapeAttribute(view.alt, ctx) + '">';
+    }
+
+    /**
+     * Builds an Image from its main view and its other views, as described by the API.
+     *
+     * @private
+     */
+    function imageEl(main, views) {
+        var output = new ImageEl(imageView(main), {});
+        for (var name in views) {
+            output.views[name] = imageView(views[name]);
+        }
+        return output;
+    }
+
     /**
      * Embodies an image view (an image in prismic.io can be defined with several different thumbnail sizes, each size is called a "view")
      * @constructor
@@ -542,14 +963,53 @@
         ratio: function () {
             return this.width / this.height;
         },
+
+        /**
+         * Builds a transformed version of the image, through the query string of the image CDN.
+         * The query parameters already in the URL are kept, unless the transformation overrides them.
+         * When only one of width and height is given, the other one follows the ratio of the image (or of the crop).
+         * Typical use: doc.getImageView('article.image', 'main').transform({ width: 400, format: 'webp', quality: 80 }).url
+         *
+         * @param {object} options - the transformation: width and height in pixels, fit (like "crop" or "max"), format (like "webp"),
+         * quality (from 0 to 100), and crop, the area of the image to keep, as { x, y, width, height } in pixels
+         * @returns {ImageView} - a new ImageView, with the URL and the dimensions of the transformed image
+         */
+        transform: function(options) {
+            var crop = options.crop,
+                baseWidth = crop ? crop.width : this.width,
+                baseHeight = crop ? crop.height : this.height,
+                width = options.width,
+                height = options.height;
+
+            if (width && !height) {
+                height = Math.round(width * baseHeight / baseWidth);
+            } else if (height && !width) {
+                width = Math.round(height * baseWidth / baseHeight);
+            } else if (!width && !height) {
+                width = baseWidth;
+                height = baseHeight;
+            }
+
+            var url = setQueryParams(this.url, {
+                rect: crop ? [crop.x || 0, crop.y || 0, crop.width, crop.height].join(',') : undefined,
+                w: options.width ? width : undefined,
+                h: options.height ? height : undefined,
+                fit: options.fit,
+                fm: options.format,
+                q: options.quality
+            });
+            return new ImageView(url, width, height, this.alt);
+        },
+
         /**
          * Turns the fragment into a useable HTML version of it.
          * If the native HTML code doesn't suit your design, this function is meant to be overriden.
          *
+         * @params {object} ctx - optional ctx object; set ctx.escapeHtml to false if the content is trusted and must not be escaped
          * @returns {string} - basic HTML code for the fragment
          */
-        asHtml: function () {
-            return "<img src=" + this.url + " width=" + this.width + " height=" + this.height + " alt=\"" + this.alt + "\">";
+        asHtml: function (ctx) {
+            return imgTag(this, '', ctx);
         },
 
         /**
@@ -679,19 +1139,33 @@
             for(var i=0; i<this.blocks.length; i++) {
                 var block = this.blocks[i];
                 if(block.type == 'image') {
-                    return new ImageView(
-                        block.url,
-                        block.dimensions.width,
-                        block.dimensions.height,
-                        block.alt
-                    );
+                    return imageView(block);
                 }
             }
         },
 
+        /**
+         * Gets the images of the image blocks, with their width, height, alt and views.
+         * Typical use: document.getStructuredText('blog-post.body').getImages()[0].getView('main').url
+         *
+         * @returns {array} - an array of Image objects
+         */
+        getImages: function() {
+            return this.blocks.filter(function(block) {
+                return block.type == 'image';
+            }).map(function(block) {
+                return imageEl(block, block.views);
+            });
+        },
+
         /**
          * Turns the fragment into a useable HTML version of it.
-         * If the native HTML code doesn't suit your design, this function is meant to be overriden.
+         * If the native HTML code doesn't suit your design, you can pass a ctx.htmlSerializer map from block and span types
+         * to functions that return the HTML code of one element; for instance:
+         * { heading1: function(block, children, ctx) { return '<h1 class="title">' + children + '</h1>'; } }.
+         * Those functions receive the element as returned by the API, the HTML code of its children, and the ctx;
+         * they may return null to keep the default HTML code.
+         * Texts and attribute values are HTML-escaped, unless ctx.escapeHtml is false.
          * @params {object} ctx - mandatory ctx object, with a useable linkResolver function (please read prismic.io online documentation about this)
          * @returns {string} - basic HTML code for the fragment
          */
@@ -699,6 +1173,15 @@
             return StructuredTextAsHtml.call(this, this.blocks, ctx);
         },
 
+        /**
+         * Turns the fragment into a CommonMark version of it.
+         * @params {object} ctx - mandatory ctx object, with a useable linkResolver function (please read prismic.io online documentation about this)
+         * @returns {string} - Markdown code for the fragment
+         */
+        asMarkdown: function(ctx) {
+            return StructuredTextAsMarkdown(this.blocks, ctx);
+        },
+
         /**
          * Turns the fragment into a useable text version of it.
          *
@@ -719,6 +1202,7 @@
 
     /**
      * Transforms a list of blocks as proper HTML.
+     * Each block is serialized by the function of ctx.htmlSerializer that matches its type, if any (see serialize()).
      *
      * @private
      * @param {array} blocks - the array of blocks to deal with
@@ -761,35 +1245,37 @@
 
             var classCode = function(classes) {
                 if (classes.length == 0) return "";
-                return ' class="' + classes.join(" ") + '"';
+                return ' class="' + escapeAttribute(classes.join(" "), ctx) + '"';
             };
 
             blockGroups.forEach(function (blockGroup) {
                 var classes = blockGroup.label ? [blockGroup.label] : [];
+                var block = blockGroup.blocks[0];
+                var children;
                 if (TAG_NAMES[blockGroup.tag]) {
                     var name = TAG_NAMES[blockGroup.tag];
-                    html.push('<' + name + classCode(classes) + '>'
-                      + insertSpans(blockGroup.blocks[0].text, blockGroup.blocks[0].spans, ctx)
-                      + '</' + name + '>');
+                    children = insertSpans(block.text, block.spans, ctx);
+                    html.push(serialize(block.type, block, children, ctx,
+                        '<' + name + classCode(classes) + '>' + children + '</' + name + '>'));
                 }
                 else if(blockGroup.tag == "preformatted") {
-                    html.push('<pre' + classCode(classes) + '>' + blockGroup.blocks[0].text + '</pre>');
+                    children = escapeHtml(block.text, ctx);
+                    html.push(serialize(block.type, block, children, ctx,
+                        '<pre' + classCode(classes) + '>' + children + '</pre>'));
                 }
                 else if(blockGroup.tag == "image") {
                     classes.push("block-img");
-                    html.push('<p' + classCode(classes) + '><img src="' + blockGroup.blocks[0].url + '" alt="' + blockGroup.blocks[0].alt + '"></p>');
+                    html.push(serialize(block.type, block, '', ctx,
+                        '<p' + classCode(classes) + '><img src="' + escapeUrl(block.url, ctx) + '" alt="' + escapeAttribute(block.alt, ctx) + '"></p>'));
                 }
                 else if(blockGroup.tag == "embed") {
-                    html.push('<div data-oembed="'+ blockGroup.blocks[0].embed_url
-                        + '" data-oembed-type="'+ blockGroup.blocks[0].type
-                        + '" data-oembed-provider="'+ blockGroup.blocks[0].provider_name
-                        + classCode(classes)
-                        + '">' + blockGroup.blocks[0].oembed.html+"</div>")
+                    html.push(serialize(block.type, block, '', ctx, embedHtml(block.oembed, classes, ctx)));
                 }
                 else if(blockGroup.tag == "list-item" || blockGroup.tag == "o-list-item") {
                     html.push(blockGroup.tag == "list-item"?'<ul>':"<ol>");
                     blockGroup.blocks.forEach(function(block){
-                        html.push("<li>"+insertSpans(block.text, block.spans, ctx)+"</li>");
+                        var children = insertSpans(block.text, block.spans, ctx);
+                        html.push(serialize(block.type, block, children, ctx, "<li>" + children + "</li>"));
                     });
                     html.push(blockGroup.tag == "list-item"?'</ul>':"</ol>");
                 }
@@ -802,8 +1288,251 @@
 
     }
 
+    /**
+     * Transforms a list of blocks as CommonMark.
+     *
+     * @private
+     * @param {array} blocks - the array of blocks to deal with
+     * @param {object} ctx - the context object, containing the linkResolver function to build links that may be in the fragment (please read prismic.io's online documentation about this)
+     * @returns {string} - the Markdown output
+     */
+    function StructuredTextAsMarkdown(blocks, ctx) {
+        var markdown = [],
+            block,
+            heading,
+            items,
+            fence;
+
+        if (!Array.isArray(blocks)) {
+            return '';
+        }
+
+        for(var i=0; i<blocks.length; i++) {
+            block = blocks[i];
+            heading = /^heading([1-6])$/.exec(block.type);
+
+            if (heading) {
+                markdown.push(new Array(parseInt(heading[1], 10) + 1).join('#') + ' ' + escapeMarkdownLines(spansAsMarkdown(block.text, block.spans, ctx)));
+            }
+            else if (block.type == "paragraph") {
+                markdown.push(escapeMarkdownLines(spansAsMarkdown(block.text, block.spans, ctx)));
+            }
+            else if (block.type == "list-item" || block.type == "o-list-item") {
+                items = [];
+                for (var type = block.type; i<blocks.length && blocks[i].type == type; i++) {
+                    items.push((type == "list-item" ? '- ' : (items.length + 1) + '. ') + escapeMarkdownLines(spansAsMarkdown(blocks[i].text, blocks[i].spans, ctx)));
+                }
+                i--;
+                markdown.push(items.join('\n'));
+            }
+            else if (block.type == "preformatted") {
+                fence = '```';
+                while (block.text.indexOf(fence) > -1) {
+                    fence += '`';
+                }
+                markdown.push(fence + '\n' + block.text + '\n' + fence);
+            }
+            else if (block.type == "image") {
+                markdown.push('![' + escapeMarkdown(block.alt || '') + '](' + markdownUrl(block.url) + ')');
+            }
+            else if (block.type == "embed") {
+                markdown.push(block.oembed.html);
+            }
+            else throw new Error(block.type + " not implemented");
+        }
+
+        return markdown.join('\n\n');
+    }
+
+    /**
+     * Turns the text of a block and its spans into inline CommonMark.
+     *
+     * @private
+     * @param {string} text - the original text of the block
+     * @param {object} spans - the spans as returned by the API
+     * @param {object} ctx - the context object, containing the linkResolver function
+     * @returns {string} - the Markdown output
+     */
+    function spansAsMarkdown(text, spans, ctx) {
+        function spanAsMarkdown(span, children) {
+            // CommonMark ignores emphasis markers that are next to a whitespace, so whitespaces are kept outside
+            var parts = /^(\s*)([\s\S]*?)(\s*)$/.exec(children);
+            if (!parts[2]) {
+                return children;
+            }
+            if (span.type === 'hyperlink') {
+                var fragment = initField(span.data);
+                return fragment ? parts[1] + '[' + parts[2] + '](' + markdownUrl(fragment.url(ctx)) + ')' + parts[3] : children;
+            }
+            if (span.type === 'strong') {
+                return parts[1] + '**' + parts[2] + '**' + parts[3];
+            }
+            if (span.type === 'em') {
+                return parts[1] + '*' + parts[2] + '*' + parts[3];
+            }
+            if (span.type === 'label') {
+                return '<span class="' + escapeAttribute(span.data.label) + '">' + children + '</span>';
+            }
+            return children;
+        }
+
+        function nodesAsMarkdown(nodes) {
+            return nodes.map(function(node) {
+                return node.span ? spanAsMarkdown(node.span, nodesAsMarkdown(node.children)) : escapeMarkdown(node.text);
+            }).join('');
+        }
+
+        return nodesAsMarkdown(textNodes(text, spans));
+    }
+
+    /**
+     * Escapes the characters that have a meaning in inline CommonMark.
+     *
+     * @private
+     */
+    function escapeMarkdown(text) {
+        return String(text).replace(/([\\`*_\[\]<>&!])/g, '\\$1');
+    }
+
+    /**
+     * Escapes what would turn the start of any line of a text into a heading, a list item, a quote or a heading underline.
+     *
+     * @private
+     */
+    function escapeMarkdownLines(text) {
+        return text.replace(/^([ \t]*)([#+>=-])/gm, '$1\\$2').replace(/^([ \t]*\d+)([.)])/gm, '$1\\$2');
+    }
+
+    /**
+     * Turns a plain text into CommonMark that renders as this very text.
+     *
+     * @param {string} text - the text
+     * @returns {string} - the Markdown output
+     */
+    function textAsMarkdown(text) {
+        return text == null ? '' : escapeMarkdownLines(escapeMarkdown(text));
+    }
+
+    /**
+     * Makes a URL safe to use as a CommonMark link destination.
+     *
+     * @private
+     */
+    function markdownUrl(url) {
+        return String(url).replace(/ /g, '%20').replace(/\(/g, '%28').replace(/\)/g, '%29');
+    }
+
+    /**
+     * Serializes a block or a span with the matching function of ctx.htmlSerializer, if there is one.
+     * ctx.htmlSerializer is a map from block types ("heading1", "paragraph", "image", "embed", "list-item", "o-list-item", "preformatted")
+     * and span types ("strong", "em", "hyperlink", "label") to functions receiving the element as returned by the API,
+     * the HTML code of its children, and the ctx. Those functions may return null to use the default HTML code.
+     *
+     * @private
+     * @param {string} type - the type of the block or span
+     * @param {object} element - the block or span, as returned by the API
+     * @param {string} children - the HTML code of the children of the element
+     * @param {object} ctx - the context object
+     * @param {string} defaultHtml - the HTML code to use if there is no serializer function for this type
+     * @returns {string} - the HTML output
+     */
+    function serialize(type, element, children, ctx, defaultHtml) {
+        var serializer = ctx && ctx.htmlSerializer && ctx.htmlSerializer[type];
+        var html = serializer ? serializer(element, children, ctx) : null;
+        return html != null ? html : defaultHtml;
+    }
+
+    /**
+     * Turns the flat list of spans of a block into a tree, where each span holds the text and spans it contains.
+     * When two spans overlap, one of them gets split in two, so the tree stays well-formed:
+     * hyperlinks and labels are kept intact whenever possible, and the other spans get split around them.
+     *
+     * @private
+     * @param {string} text - the original text of the block
+     * @param {number} start - the start of the range to build the tree of
+     * @param {number} end - the end of the range to build the tree of
+     * @param {array} spans - the spans within the range, sorted by position (see compareSpans())
+     * @returns {array} - the nodes, either {text: "..."} or {span: span, children: [nodes]}
+     */
+    function spansTree(text, start, end, spans) {
+        var nodes = [],
+            cursor = start;
+
+        while (spans.length) {
+            var span = spans[0],
+                inside = [],
+                after = [],
+                crossing = null;
+
+            for (var i=1; i<spans.length && spans[i].start < span.end; i++) {
+                if (spans[i].end > span.end && spanPriority(spans[i].span) > spanPriority(span.span)) {
+                    crossing = spans[i];
+                    break;
+                }
+            }
+            if (crossing) {
+                // the span crosses the start of one that must stay intact, so it's the span that gets split
+                spans = [splitSpan(span, span.start, crossing.start), splitSpan(span, crossing.start, span.end)]
+                    .concat(spans.slice(1))
+                    .sort(compareSpans);
+                continue;
+            }
+
+            spans.slice(1).forEach(function(other) {
+                if (other.start >= span.end) {
+                    after.push(other);
+                } else if (other.end <= span.end) {
+                    inside.push(other);
+                } else {
+                    inside.push(splitSpan(other, other.start, span.end));
+                    after.push(splitSpan(other, span.end, other.end));
+                }
+            });
+
+            if (span.start > cursor) {
+                nodes.push({ text: text.substring(cursor, span.start) });
+            }
+            nodes.push({ span: span.span, children: spansTree(text, span.start, span.end, inside) });
+            cursor = span.end;
+            spans = after.sort(compareSpans);
+        }
+
+        if (end > cursor) {
+            nodes.push({ text: text.substring(cursor, end) });
+        }
+
+        return nodes;
+    }
+
+    /**
+     * @private
+     */
+    function splitSpan(span, start, end) {
+        return { start: start, end: end, index: span.index, span: span.span };
+    }
+
+    /**
+     * Spans with a higher priority are the ones kept intact when spans overlap.
+     *
+     * @private
+     */
+    function spanPriority(span) {
+        return { hyperlink: 2, label: 1 }[span.type] || 0;
+    }
+
+    /**
+     * Orders spans by start, then from the longest to the shortest, then as they came from the API,
+     * so the outer spans always come before the spans they contain.
+     *
+     * @private
+     */
+    function compareSpans(a, b) {
+        return (a.start - b.start) || (b.end - a.end) || (a.index - b.index);
+    }
+
     /**
      * Parses a block that has spans, and inserts the proper HTML code.
+     * Each span is serialized by the function of ctx.htmlSerializer that matches its type, if any.
      *
      * @param {string} text - the original text of the block
      * @param {object} spans - the spans as returned by the API
@@ -811,61 +1540,112 @@
      * @returns {string} - the HTML output
      */
     function insertSpans(text, spans, ctx) {
-        function getTag(span, isStart) {
+        function spanAsHtml(span, children) {
             if (span.type === 'hyperlink') {
                 var fragment = initField(span.data);
                 if (fragment) {
-                    return (isStart ? '<a href="' + fragment.url(ctx) + '">' : '</a>');
+                    return serialize(span.type, span, children, ctx, '<a href="' + escapeUrl(fragment.url(ctx), ctx) + '">' + children + '</a>');
                 } else {
                     console && console.error && console.error('Impossible to convert span.data as a Fragment', span);
-                    return '';
+                    return children;
                 }
             }
             if (span.type === 'label') {
-                return (isStart ? '<span class="' + span.data.label + '">' : '</span>');
+                return serialize(span.type, span, children, ctx, '<span class="' + escapeAttribute(span.data.label, ctx) + '">' + children + '</span>');
             }
-            return '<' + (isStart ? '': '/') + span.type + '>'
+            return serialize(span.type, span, children, ctx, '<' + span.type + '>' + children + '</' + span.type + '>');
+        }
+
+        function nodesAsHtml(nodes) {
+            return nodes.map(function(node) {
+                return node.span ? spanAsHtml(node.span, nodesAsHtml(node.children)) : escapeHtml(node.text, ctx);
+            }).join('');
         }
 
         // Ultimate optimization!
         // You know... doing nothing when there is nothing to be done
         if (!spans || !spans.length) {
-            return text;
+            return escapeHtml(text, ctx);
         }
 
-        var positions = [];
-        var tagsStart = {};
-        var tagsEnd = {};
-
-        spans.forEach(function (span) {
-            if (!tagsStart[span.start]) { tagsStart[span.start] = []; }
-            if (!tagsEnd[span.end]) { tagsEnd[span.end] = []; }
-
-            tagsStart[span.start].push(getTag(span, true));
-            tagsEnd[span.end].unshift(getTag(span, false));
-
-            positions.push(span.start, span.end);
-        });
+        return nodesAsHtml(textNodes(text, spans));
+    }
 
-        positions = positions.filter(function (elem, index, self) {
-            return self.indexOf(elem) === index;
-        }).sort(function(a, b) {
-            return a - b;
-        });
+    /**
+     * Builds the tree of the text of a block and its spans (see spansTree()).
+     * Spans are clamped to the text, and empty spans are ignored.
+     *
+     * @private
+     * @param {string} text - the original text of the block
+     * @param {object} spans - the spans as returned by the API
+     * @returns {array} - the nodes of the tree
+     */
+    function textNodes(text, spans) {
+        var sorted = (spans || []).map(function(span, index) {
+            return {
+                start: Math.max(0, Math.min(span.start, text.length)),
+                end: Math.max(0, Math.min(span.end, text.length)),
+                index: index,
+                span: span
+            };
+        }).filter(function(span) {
+            return span.start < span.end;
+        }).sort(compareSpans);
 
-        var html = [];
-        var cursor = 0;
+        return spansTree(text, 0, text.length, sorted);
+    }
 
-        positions.forEach(function (pos) {
-            html.push(text.substring(cursor, pos));
-            html = html.concat(tagsEnd[pos] || []);
-            html = html.concat(tagsStart[pos] || []);
-            cursor = pos;
-        });
+    /**
+     * Escapes a text so it can be inserted in HTML code as is, unless ctx.escapeHtml is false.
+     * The text is escaped by itself, so the offsets of spans still apply to the original text.
+     *
+     * @private
+     * @param {string} text - the text to escape
+     * @param {object} ctx - the context object
+     * @returns {string} - the escaped text
+     */
+    function escapeHtml(text, ctx) {
+        if (ctx && ctx.escapeHtml === false) {
+            return text;
+        }
+        return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    }
 
-        html.push(text.substring(cursor));
+    /**
+     * Escapes a value so it can be inserted in a double-quoted HTML attribute, unless ctx.escapeHtml is false.
+     *
+     * @private
+     * @param {string} value - the value to escape
+     * @param {object} ctx - the context object
+     * @returns {string} - the escaped value
+     */
+    function escapeAttribute(value, ctx) {
+        if (ctx && ctx.escapeHtml === false) {
+            return value;
+        }
+        return escapeHtml(value, ctx).replace(/"/g, '&quot;');
+    }
 
-        return html.join('');
+    /**
+     * Escapes a URL so it can be inserted in an href or src attribute, unless ctx.escapeHtml is false.
+     * Only http, https and mailto URLs, and relative URLs, are kept: the other schemes, like javascript: or data:,
+     * could run code from the content, so the URL is replaced by "#".
+     *
+     * @private
+     * @param {string} url - the URL to escape
+     * @param {object} ctx - the context object
+     * @returns {string} - the escaped URL
+     */
+    function escapeUrl(url, ctx) {
+        if (ctx && ctx.escapeHtml === false) {
+            return url;
+        }
+        // Browsers ignore control characters and whitespaces in schemes, like in "java\tscript:"
+        var scheme = /^([^\/?#]*?):/.exec(String(url).replace(/[\u0000-\u0020\u007f]/g, ''));
+        if (scheme && !/^(https?|mailto)$/i.test(scheme[1])) {
+            return '#';
+        }
+        return escapeAttribute(url, ctx);
     }
 
     /**
@@ -914,25 +1694,7 @@
                 break;
 
             case "Image":
-                img = field.value.main;
-                output = new ImageEl(
-                    new ImageView(
-                        img.url,
-                        img.dimensions.width,
-                        img.dimensions.height,
-                        img.alt
-                    ),
-                    {}
-                );
-                for (var name in field.value.views) {
-                    img = field.value.views[name];
-                    output.views[name] = new ImageView(
-                        img.url,
-                        img.dimensions.width,
-                        img.dimensions.height,
-                        img.alt
-                    );
-                }
+                output = imageEl(field.value.main, field.value.views);
                 break;
 
             case "StructuredText":
@@ -994,8 +1756,11 @@
         FileLink: FileLink,
         Group: Group,
         GeoPoint: GeoPoint,
+        Embed: Embed,
         initField: initField,
-        insertSpans: insertSpans
+        activateEmbeds: activateEmbeds,
+        insertSpans: insertSpans,
+        textAsMarkdown: textAsMarkdown
     }
 
 }(typeof exports === 'object' && exports ? exports : (typeof module === "object" && module && typeof module.exports === "object" ? module.exports : window)));
@@ -0,0 +1,263 @@
+(function (Global, undefined) {
+
+    "use strict";
+
+    /**
+     * Embodies a single predicate of a query, like at(document.type, "product").
+     * To create predicates, please use the functions of Prismic.Predicates, like Prismic.Predicates.at("document.type", "product").
+     * @constructor
+     * @global
+     * @alias Predicate
+     */
+    function Predicate(operator, fragment, args) {
+        /**
+         * @field
+         * @description the name of the predicate function, like "at" or "number.gt"
+         */
+        this.operator = operator;
+        /**
+         * @field
+         * @description the path of the fragment the predicate works on, like "document.type" or "my.product.price"
+         */
+        this.fragment = fragment;
+        /**
+         * @field
+         * @description the other arguments of the predicate function
+         */
+        this.args = args || [];
+    }
+
+    Predicate.prototype = {
+        /**
+         * Serializes the predicate in the prismic.io query syntax, like [:d = at(document.type, "product")]
+         *
+         * @returns {string} - the serialized predicate
+         */
+        toString: function() {
+            var args = [this.fragment].concat(this.args.map(serializeValue));
+            return '[:d = ' + this.operator + '(' + args.join(', ') + ')]';
+        }
+    };
+
+    /**
+     * Serializes a predicate argument: strings are quoted and escaped, arrays are serialized item by item,
+     * and dates are turned into timestamps.
+     *
+     * @private
+     * @param {string|number|Date|array} value - the value to serialize
+     * @returns {string} - the serialized value
+     */
+    function serializeValue(value) {
+        if (typeof value === 'string') {
+            return '"' + value.replace(/\\/g, '\\\\').replace(/"/g, '\\"') + '"';
+        }
+        if (Array.isArray(value)) {
+            return '[' + value.map(serializeValue).join(',') + ']';
+        }
+        if (value instanceof Date) {
+            return value.getTime().toString();
+        }
+        return String(value);
+    }
+
+    /**
+     * Checks the arguments of a predicate before building it, so mistakes are caught before the query gets sent.
+     *
+     * @private
+     * @param {string} operator - the name of the predicate function
+     * @param {string} fragment - the path of the fragment
+     * @param {array} args - the other arguments
+     * @param {array} types - the types the other arguments are expected to have
+     * @returns {Predicate} - the built predicate
+     */
+    function predicate(operator, fragment, args, types) {
+        if (typeof fragment !== 'string' || fragment === '') {
+            throw new Global.Prismic.Errors.InvalidPredicateError("Invalid fragment " + fragment + " in predicate " + operator);
+        }
+        for (var i = 0; i < types.length; i++) {
+            if (!isOfType(args[i], types[i])) {
+                throw new Global.Prismic.Errors.InvalidPredicateError("Invalid argument " + args[i] + " in predicate " + operator + ", expected a " + types[i]);
+            }
+        }
+        return new Predicate(operator, fragment, args);
+    }
+
+    /**
+     * Checks a predicate argument against one of the types used in predicate()
+     *
+     * @private
+     */
+    function isOfType(value, type) {
+        switch (type) {
+            case 'string':
+                return typeof value === 'string';
+            case 'number':
+                return typeof value === 'number' && !isNaN(value);
+            case 'date':
+                return (value instanceof Date && !isNaN(value.getTime())) || (typeof value === 'number' && !isNaN(value)) || typeof value === 'string';
+            case 'array':
+                return Array.isArray(value);
+            case 'value':
+                return typeof value === 'string' || (typeof value === 'number' && !isNaN(value)) || Array.isArray(value) || value instanceof Date;
+            default:
+                return true;
+        }
+    }
+
+    /**
+     * Builds the q parameter of a query from a list of predicates.
+     *
+     * @param {array} predicates - Predicate objects, or already serialized predicates as strings
+     * @returns {string} - the query, like [[:d = at(document.type, "product")][:d = fulltext(document, "chocolate")]]
+     */
+    function toQuery(predicates) {
+        return '[' + predicates.map(function(p) {
+            return p.toString();
+        }).join('') + ']';
+    }
+
+    Global.Prismic.Predicates = {
+
+        /**
+         * Matches documents whose fragment is equal to the value.
+         * Typical use: Prismic.Predicates.at("document.type", "product")
+         *
+         * @param {string} fragment - the path of the fragment, like "document.type" or "my.product.flavour"
+         * @param {string|number|array} value - the expected value
+         * @returns {Predicate}
+         */
+        at: function(fragment, value) {
+            return predicate("at", fragment, [value], ['value']);
+        },
+
+        /**
+         * Matches documents whose fragment is equal to any of the values.
+         * Typical use: Prismic.Predicates.any("document.type", ["product", "blog-post"])
+         *
+         * @param {string} fragment - the path of the fragment
+         * @param {array} values - the accepted values
+         * @returns {Predicate}
+         */
+        any: function(fragment, values) {
+            return predicate("any", fragment, [values], ['array']);
+        },
+
+        /**
+         * Matches documents whose fragment contains the words.
+         * Typical use: Prismic.Predicates.fulltext("document", "chocolate")
+         *
+         * @param {string} fragment - the path of the fragment, or "document" to search the whole documents
+         * @param {string} value - the words to look for
+         * @returns {Predicate}
+         */
+        fulltext: function(fragment, value) {
+            return predicate("fulltext", fragment, [value], ['string']);
+        },
+
+        /**
+         * Matches documents that are similar to a given document.
+         * Typical use: Prismic.Predicates.similar("UlfoxUnM0wkXYXbX", 10)
+         *
+         * @param {string} documentId - the ID of the reference document
+         * @param {number} maxResults - the maximum number of similar documents
+         * @returns {Predicate}
+         */
+        similar: function(documentId, maxResults) {
+            if (typeof documentId !== 'string' || documentId === '') {
+                throw new Global.Prismic.Errors.InvalidPredicateError("Invalid document ID " + documentId + " in predicate similar");
+            }
+            return predicate("similar", serializeValue(documentId), [maxResults], ['number']);
+        },
+
+        number: {
+            /**
+             * Matches documents whose number fragment is greater than the value.
+             *
+             * @param {string} fragment - the path of the Number fragment, like "my.product.price"
+             * @param {number} value - the lower bound (excluded)
+             * @returns {Predicate}
+             */
+            gt: function(fragment, value) {
+                return predicate("number.gt", fragment, [value], ['number']);
+            },
+
+            /**
+             * Matches documents whose number fragment is lower than the value.
+             *
+             * @param {string} fragment - the path of the Number fragment, like "my.product.price"
+             * @param {number} value - the upper bound (excluded)
+             * @returns {Predicate}
+             */
+            lt: function(fragment, value) {
+                return predicate("number.lt", fragment, [value], ['number']);
+            },
+
+            /**
+             * Matches documents whose number fragment is between the two values.
+             *
+             * @param {string} fragment - the path of the Number fragment, like "my.product.price"
+             * @param {number} before - the lower bound
+             * @param {number} after - the upper bound
+             * @returns {Predicate}
+             */
+            inRange: function(fragment, before, after) {
+                return predicate("number.inRange", fragment, [before, after], ['number', 'number']);
+            }
+        },
+
+        date: {
+            /**
+             * Matches documents whose date fragment is before the date.
+             *
+             * @param {string} fragment - the path of the Date or Timestamp fragment, like "my.blog-post.date"
+             * @param {Date|number|string} date - a Date, a timestamp, or a date string like "2014-06-18"
+             * @returns {Predicate}
+             */
+            before: function(fragment, date) {
+                return predicate("date.before", fragment, [date], ['date']);
+            },
+
+            /**
+             * Matches documents whose date fragment is after the date.
+             *
+             * @param {string} fragment - the path of the Date or Timestamp fragment, like "my.blog-post.date"
+             * @param {Date|number|string} date - a Date, a timestamp, or a date string like "2014-06-18"
+             * @returns {Predicate}
+             */
+            after: function(fragment, date) {
+                return predicate("date.after", fragment, [date], ['date']);
+            },
+
+            /**
+             * Matches documents whose date fragment is between the two dates.
+             *
+             * @param {string} fragment - the path of the Date or Timestamp fragment, like "my.blog-post.date"
+             * @param {Date|number|string} before - the lower bound
+             * @param {Date|number|string} after - the upper bound
+             * @returns {Predicate}
+             */
+            between: function(fragment, before, after) {
+                return predicate("date.between", fragment, [before, after], ['date', 'date']);
+            }
+        },
+
+        geopoint: {
+            /**
+             * Matches documents whose GeoPoint fragment is within the radius of a location.
+             *
+             * @param {string} fragment - the path of the GeoPoint fragment, like "my.store.location"
+             * @param {number} latitude - the latitude of the location
+             * @param {number} longitude - the longitude of the location
+             * @param {number} radius - the radius, in kilometers
+             * @returns {Predicate}
+             */
+            near: function(fragment, latitude, longitude, radius) {
+                return predicate("geopoint.near", fragment, [latitude, longitude, radius], ['number', 'number', 'number']);
+            }
+        },
+
+        Predicate: Predicate,
+        toQuery: toQuery
+    };
+
+}(typeof exports === 'object' && exports ? exports : (typeof module === "object" && module && typeof module.exports === "object" ? module.exports : window)));
@@ -24,6 +24,74 @@
     }]
   };
 
+  var apiDocument = {
+    refs: [{ id: 'master', ref: 'UlfoxUnM08QWYXdl', label: 'Documents', isMasterRef: true }],
+    bookmarks: {},
+    types: { product: 'Product' },
+    tags: [],
+    forms: {
+      everything: {
+        method: 'GET',
+        enctype: 'application/x-www-form-urlencoded',
+        action: 'https://test.prismic.io/api/documents/search',
+        fields: {
+          ref: { type: 'String', multiple: false },
+          q: { type: 'String', multiple: true },
+          page: { type: 'Integer', multiple: false, 'default': '1' },
+          pageSize: { type: 'Integer', multiple: false, 'default': '20' },
+          orderings: { type: 'String', multiple: false }
+        }
+      }
+    }
+  };
+
+  var searchResponse = function(page, totalPages, results) {
+    return {
+      page: page,
+      results_per_page: 20,
+      results_size: results.length,
+      total_results_size: results.length,
+      total_pages: totalPages,
+      next_page: page < totalPages ? 'https://test.prismic.io/api/documents/search?page=' + (page + 1) : null,
+      prev_page: page > 1 ? 'https://test.prismic.io/api/documents/search?page=' + (page - 1) : null,
+      results: results
+    };
+  };
+
+  // A request handler that never hits the network: routes are matched on the URL's path,
+  // and successful responses have the (lowercase) headers of handler.headers
+  var fakeRequestHandler = function(routes) {
+    var handler = function(url, callback, options) {
+      handler.requests.push(url);
+      handler.options.push(options);
+      var path = url.split('?')[0];
+      var route = routes[path];
+      if (typeof route === 'function') {
+        route = route(url);
+      }
+      setTimeout(function() {
+        if (route instanceof Error) {
+          callback(route, null, {});
+        } else if (route) {
+          callback(null, JSON.parse(JSON.stringify(route)), { headers: handler.headers });
+        } else {
+          callback(new Error("Unexpected status code [404] on URL " + url), null, {});
+        }
+      }, 0);
+    };
+    handler.requests = [];
+    handler.options = [];
+    handler.headers = {};
+    return handler;
+  };
+
+  var defaultRoutes = function() {
+    return {
+      'https://test.prismic.io/api': apiDocument,
+      'https://test.prismic.io/api/documents/search': searchResponse(1, 1, [])
+    };
+  };
+
   module('Prismic.io', {
     setup: function() {}
   });
@@ -34,4 +102,1801 @@
 
     equal(html, fragment.asHtml());
   });
+
+  test('should render StructuredText with a custom htmlSerializer', function () {
+    var fragment = Prismic.Fragments.initField({
+      type: 'StructuredText',
+      value: [{
+        type: 'heading1',
+        text: 'Hello world',
+        spans: []
+      }, {
+        type: 'paragraph',
+        text: 'Go to prismic.io, it is great',
+        spans: [{
+          start: 6,
+          end: 16,
+          type: 'hyperlink',
+          data: { type: 'Link.web', value: { url: 'http://prismic.io' } }
+        }, {
+          start: 21,
+          end: 29,
+          type: 'label',
+          data: { label: 'shiny' }
+        }, {
+          start: 24,
+          end: 29,
+          type: 'strong'
+        }]
+      }, {
+        type: 'image',
+        url: 'http://example.com/image.png',
+        alt: 'An image',
+        dimensions: { width: 100, height: 100 }
+      }]
+    });
+    var ctx = {
+      htmlSerializer: {
+        heading1: function(block, children) {
+          return '<h1 class="title">' + children + '</h1>';
+        },
+        image: function(block) {
+          return '<figure><img src="' + block.url + '"></figure>';
+        },
+        hyperlink: function(span, children) {
+          return '<a href="' + span.data.value.url + '" target="_blank">' + children + '</a>';
+        },
+        label: function(span, children) {
+          return '<mark class="' + span.data.label + '">' + children + '</mark>';
+        },
+        strong: function() {
+          return null;
+        }
+      }
+    };
+    equal(fragment.asHtml(ctx), '<h1 class="title">Hello world</h1><p>Go to <a href="http://prismic.io" target="_blank">prismic.io</a>, it <mark class="shiny">is <strong>great</strong></mark></p><figure><img src="http://example.com/image.png"></figure>');
+  });
+
+  var paragraph = function(text, spans) {
+    return Prismic.Fragments.initField({
+      type: 'StructuredText',
+      value: [{ type: 'paragraph', text: text, spans: spans }]
+    });
+  };
+
+  test('should nest overlapping spans into well-formed HTML', function () {
+    equal(paragraph('0123456789abcdefghij', [
+      { start: 0, end: 10, type: 'strong' },
+      { start: 5, end: 15, type: 'em' }
+    ]).asHtml(), '<p><strong>01234<em>56789</em></strong><em>abcde</em>fghij</p>');
+    equal(paragraph('0123456789abcdefghij', [
+      { start: 0, end: 10, type: 'strong' },
+      { start: 0, end: 10, type: 'em' },
+      { start: 2, end: 4, type: 'em' }
+    ]).asHtml(), '<p><strong><em>01<em>23</em>456789</em></strong>abcdefghij</p>');
+  });
+
+  test('should keep hyperlinks and labels intact when spans overlap them', function () {
+    var link = { type: 'Link.web', value: { url: 'http://prismic.io' } };
+    equal(paragraph('0123456789abcdefghij', [
+      { start: 0, end: 10, type: 'strong' },
+      { start: 5, end: 15, type: 'hyperlink', data: link }
+    ]).asHtml(), '<p><strong>01234</strong><a href="http://prismic.io"><strong>56789</strong>abcde</a>fghij</p>');
+    equal(paragraph('0123456789abcdefghij', [
+      { start: 0, end: 10, type: 'label', data: { label: 'note' } },
+      { start: 5, end: 15, type: 'hyperlink', data: link }
+    ]).asHtml(), '<p><span class="note">01234</span><a href="http://prismic.io"><span class="note">56789</span>abcde</a>fghij</p>');
+    equal(paragraph('0123456789abcdefghij', [
+      { start: 5, end: 15, type: 'em' },
+      { start: 0, end: 10, type: 'label', data: { label: 'note' } }
+    ]).asHtml(), '<p><span class="note">01234<em>56789</em></span><em>abcde</em>fghij</p>');
+  });
+
+  test('should render adjacent, empty and out-of-range spans', function () {
+    equal(paragraph('0123456789', [
+      { start: 0, end: 5, type: 'strong' },
+      { start: 5, end: 10, type: 'em' }
+    ]).asHtml(), '<p><strong>01234</strong><em>56789</em></p>');
+    equal(paragraph('0123456789', [
+      { start: 3, end: 3, type: 'strong' },
+      { start: 6, end: 4, type: 'em' }
+    ]).asHtml(), '<p>0123456789</p>');
+    equal(paragraph('0123456789', [
+      { start: -5, end: 2, type: 'strong' },
+      { start: 8, end: 42, type: 'em' },
+      { start: 20, end: 30, type: 'em' }
+    ]).asHtml(), '<p><strong>01</strong>234567<em>89</em></p>');
+  });
+
+  test('should render StructuredText as Markdown', function () {
+    var ctx = {
+      linkResolver: function(ctx, doc, isBroken) {
+        return '/' + doc.type + '/' + doc.id;
+      }
+    };
+    var fragment = Prismic.Fragments.initField({
+      type: 'StructuredText',
+      value: [
+        { type: 'heading2', text: 'Ganache', spans: [] },
+        { type: 'paragraph', text: 'Read the recipe, it is *great*', spans: [
+          { start: 9, end: 15, type: 'hyperlink', data: { type: 'Link.document', value: { document: { id: 'UlfoxUnM0wkXYXbj', type: 'recipe' }, isBroken: false } } },
+          { start: 5, end: 15, type: 'strong' },
+          { start: 23, end: 30, type: 'label', data: { label: 'shout' } }
+        ] },
+        { type: 'paragraph', text: '1. Not a list', spans: [] },
+        { type: 'list-item', text: 'Chocolate', spans: [{ start: 0, end: 9, type: 'em' }] },
+        { type: 'list-item', text: 'Cream', spans: [] },
+        { type: 'o-list-item', text: 'Melt', spans: [] },
+        { type: 'o-list-item', text: 'Mix', spans: [] },
+        { type: 'preformatted', text: 'var a = 1;', spans: [] },
+        { type: 'image', url: 'http://example.com/ganache (1).png', alt: 'A [tasty] ganache', dimensions: { width: 10, height: 10 } }
+      ]
+    });
+    equal(fragment.asMarkdown(ctx), [
+      '## Ganache',
+      'Read **the [recipe](/recipe/UlfoxUnM0wkXYXbj)**, it is <span class="shout">\\*great\\*</span>',
+      '1\\. Not a list',
+      '- *Chocolate*\n- Cream',
+      '1. Melt\n2. Mix',
+      '```\nvar a = 1;\n```',
+      '![A \\[tasty\\] ganache](http://example.com/ganache%20%281%29.png)'
+    ].join('\n\n'));
+  });
+
+  test('should escape the start of every line in Markdown', function () {
+    var fragment = Prismic.Fragments.initField({
+      type: 'StructuredText',
+      value: [{ type: 'paragraph', text: 'Tips:\n# one\n- two\n  3) three\n===', spans: [] }]
+    });
+    equal(fragment.asMarkdown(), 'Tips:\n\\# one\n\\- two\n  3\\) three\n\\===');
+  });
+
+  asyncTest('Doc.asMarkdown escapes the fragments output as text', 1, function () {
+    var routes = defaultRoutes();
+    routes['https://test.prismic.io/api/documents/search'] = searchResponse(1, 1, [{
+      id: 'UlfoxUnM0wkXYXbX',
+      type: 'article',
+      data: { article: {
+        title: { type: 'Text', value: '*draft*' },
+        number: { type: 'Text', value: '# 1\n2. two' }
+      } }
+    }]);
+    Prismic.Api('https://test.prismic.io/api', function(err, api) {
+      api.form('everything').ref(api.master()).submit(function(err, response) {
+        equal(response.results[0].asMarkdown(), '\\*draft\\*\n\n\\# 1\n2\\. two');
+        start();
+      });
+    }, null, fakeRequestHandler(routes));
+  });
+
+  test('should escape texts and attributes in HTML', function () {
+    equal(Prismic.Fragments.initField({ type: 'Text', value: 'Fish & <Chips>' }).asHtml(), '<span>Fish &amp; &lt;Chips&gt;</span>');
+    equal(Prismic.Fragments.initField({ type: 'Select', value: '<b>' }).asHtml(), '<span>&lt;b&gt;</span>');
+    var image = new Prismic.Fragments.ImageView('http://example.com/a.png?a=1&b=2', 10, 10, '" onerror="alert(1)');
+    equal(image.asHtml(), '<img src="http://example.com/a.png?a=1&amp;b=2" width="10" height="10" alt="&quot; onerror=&quot;alert(1)">');
+    var fragment = Prismic.Fragments.initField({
+      type: 'StructuredText',
+      value: [{
+        type: 'paragraph',
+        text: 'a < b && c > d',
+        spans: [{ start: 4, end: 8, type: 'strong' }]
+      }, {
+        type: 'preformatted',
+        text: '<script>',
+        spans: []
+      }]
+    });
+    equal(fragment.asHtml(), '<p>a &lt; <strong>b &amp;&amp;</strong> c &gt; d</p><pre>&lt;script&gt;</pre>');
+  });
+
+  test('should neutralize the unsafe schemes of link URLs in HTML', function () {
+    equal(Prismic.Fragments.initField({ type: 'Link.web', value: { url: 'javascript:alert(1)' } }).asHtml(), '<a href="#">javascript:alert(1)</a>');
+    equal(Prismic.Fragments.initField({ type: 'Link.web', value: { url: ' Java\tScript:alert(1)' } }).asHtml(), '<a href="#"> Java\tScript:alert(1)</a>');
+    equal(Prismic.Fragments.initField({ type: 'Link.web', value: { url: 'mailto:a@example.com' } }).asHtml(), '<a href="mailto:a@example.com">mailto:a@example.com</a>');
+    equal(Prismic.Fragments.initField({ type: 'Link.web', value: { url: '/about?a=1&b=2' } }).asHtml(), '<a href="/about?a=1&amp;b=2">/about?a=1&amp;b=2</a>');
+    var file = Prismic.Fragments.initField({ type: 'Link.file', value: { file: { url: 'data:text/html,<script>', name: 'a.html' } } });
+    equal(file.asHtml(), '<a href="#">a.html</a>');
+    var fragment = Prismic.Fragments.initField({
+      type: 'StructuredText',
+      value: [{
+        type: 'paragraph',
+        text: 'click',
+        spans: [{ start: 0, end: 5, type: 'hyperlink', data: { type: 'Link.web', value: { url: 'vbscript:msgbox(1)' } } }]
+      }]
+    });
+    equal(fragment.asHtml(), '<p><a href="#">click</a></p>');
+    equal(file.asHtml({ escapeHtml: false }), '<a href="data:text/html,<script>">a.html</a>');
+  });
+
+  test('should not escape HTML when ctx.escapeHtml is false', function () {
+    var ctx = { escapeHtml: false };
+    equal(Prismic.Fragments.initField({ type: 'Text', value: 'Fish & <em>Chips</em>' }).asHtml(ctx), '<span>Fish & <em>Chips</em></span>');
+    var fragment = Prismic.Fragments.initField({
+      type: 'StructuredText',
+      value: [{ type: 'paragraph', text: 'a <b>bold</b> move', spans: [{ start: 0, end: 1, type: 'em' }] }]
+    });
+    equal(fragment.asHtml(ctx), '<p><em>a</em> <b>bold</b> move</p>');
+  });
+
+  /*****************************/
+  /* Callbacks versus Promises */
+  /*****************************/
+
+  asyncTest('Prismic.Api still works with a callback', 2, function() {
+    Prismic.Api('https://test.prismic.io/api', function(err, api) {
+      equal(err, null);
+      equal(api.master(), 'UlfoxUnM08QWYXdl');
+      start();
+    }, null, fakeRequestHandler(defaultRoutes()));
+  });
+
+  // PhantomJS, which runs these tests, has no native Promise: the tests of the Promise mode are skipped there
+  if (typeof Promise !== 'undefined') {
+    asyncTest('Prismic.Api returns a Promise without a callback', 1, function() {
+      Prismic.Api('https://test.prismic.io/api', null, null, fakeRequestHandler(defaultRoutes())).then(function(api) {
+        equal(api.master(), 'UlfoxUnM08QWYXdl');
+        start();
+      });
+    });
+
+    asyncTest('Prismic.Api rejects its Promise with the request error', 1, function() {
+      Prismic.Api('https://test.prismic.io/api/error', null, null, fakeRequestHandler(defaultRoutes())).then(null, function(err) {
+        equal(err.message, 'Unexpected status code [404] on URL https://test.prismic.io/api/error');
+        start();
+      });
+    });
+
+    asyncTest('SearchForm.submit returns a Promise without a callback', 2, function() {
+      var routes = defaultRoutes();
+      routes['https://test.prismic.io/api/documents/search'] = searchResponse(1, 3, []);
+      Prismic.Api('https://test.prismic.io/api', null, null, fakeRequestHandler(routes)).then(function(api) {
+        return api.form('everything').ref(api.master()).submit();
+      }).then(function(response) {
+        equal(response.page, 1);
+        equal(response.total_pages, 3);
+        start();
+      });
+    });
+
+    asyncTest('SearchForm.submit rejects its Promise with the request error', 1, function() {
+      var routes = defaultRoutes();
+      routes['https://test.prismic.io/api/documents/search'] = new Error('Unexpected status code [400]');
+      Prismic.Api('https://test.prismic.io/api', null, null, fakeRequestHandler(routes)).then(function(api) {
+        return api.form('everything').ref(api.master()).submit();
+      }).then(null, function(err) {
+        equal(err.message, 'Unexpected status code [400]');
+        start();
+      });
+    });
+  }
+
+  /********************/
+  /* Request handlers */
+  /********************/
+
+  // Replaces XMLHttpRequest while the test runs, so the kit's Ajax request handler can be tested without network
+  var withFakeXhr = function(respond, test) {
+    var RealXhr = window.XMLHttpRequest;
+    var requests = [];
+    var FakeXhr = function() {
+      this.withCredentials = false;
+      this.headers = {};
+      requests.push(this);
+    };
+    FakeXhr.prototype = {
+      open: function(method, url) { this.method = method; this.url = url; },
+      setRequestHeader: function(name, value) { this.headers[name] = value; },
+      send: function(body) { var xhr = this; this.body = body; setTimeout(function() { respond(xhr); }, 0); },
+      abort: function() { this.aborted = true; this.readyState = 4; this.status = 0; this.onreadystatechange(); }
+    };
+    window.XMLHttpRequest = FakeXhr;
+    // the kit instantiates an XMLHttpRequest to check it supports CORS, so only the sent ones are kept
+    requests.sent = function() {
+      return requests.filter(function(xhr) { return xhr.url; });
+    };
+    test(requests, function() {
+      window.XMLHttpRequest = RealXhr;
+      start();
+    });
+  };
+
+  asyncTest('Request options are passed to the request handler', 4, function() {
+    withFakeXhr(function(xhr) {
+      xhr.readyState = 4;
+      xhr.status = 200;
+      xhr.responseText = JSON.stringify(apiDocument);
+      xhr.onreadystatechange();
+    }, function(requests, done) {
+      Prismic.Api('https://test.prismic.io/api', function(err, api) {
+        equal(err, null);
+        var xhr = requests.sent()[0];
+        equal(xhr.headers['Accept'], 'application/json');
+        equal(xhr.headers['X-Custom'], 'kit');
+        equal(xhr.timeout, 1000);
+        done();
+      }, null, null, null, { timeout: 1000, headers: { 'X-Custom': 'kit' } });
+    });
+  });
+
+  asyncTest('Request handler failures are passed as errors with a kind', 3, function() {
+    withFakeXhr(function(xhr) {
+      if (xhr.url.indexOf('timeout') > -1) {
+        xhr.ontimeout();
+      } else {
+        xhr.readyState = 4;
+        xhr.status = 200;
+        xhr.responseText = '<html>';
+        xhr.onreadystatechange();
+      }
+    }, function(requests, done) {
+      Prismic.Api('https://test.prismic.io/api', function(err) {
+        ok(err instanceof Prismic.Errors.ParseError);
+        Prismic.Api('https://test.prismic.io/api?timeout', function(err) {
+          ok(err instanceof Prismic.Errors.TimeoutError);
+          var signal = { aborted: true };
+          Prismic.Api('https://test.prismic.io/api', function(err) {
+            ok(err instanceof Prismic.Errors.AbortError);
+            done();
+          }, null, null, null, { signal: signal });
+        });
+      });
+    });
+  });
+
+  /**********/
+  /* Errors */
+  /**********/
+
+  test('Errors are typed', function() {
+    var Errors = Prismic.Errors;
+    var error = new Errors.HttpError(401, 'https://test.prismic.io/api', '{"error":"Invalid access token"}');
+    ok(error instanceof Error);
+    ok(error instanceof Errors.PrismicError);
+    ok(error instanceof Errors.RequestError);
+    equal(error.name, 'HttpError');
+    equal(error.kind, 'http');
+    equal(error.status, 401);
+    equal(error.body, '{"error":"Invalid access token"}');
+    equal(error.message, 'Unexpected status code [401] on URL https://test.prismic.io/api');
+    throws(function() { Prismic.Predicates.any('document.type', 'product'); }, Errors.InvalidPredicateError);
+  });
+
+  asyncTest('The /api document without a master ref fails with a NoMasterRefError', 1, function() {
+    var routes = defaultRoutes();
+    routes['https://test.prismic.io/api'] = { refs: [], forms: {} };
+    Prismic.Api('https://test.prismic.io/api', function(err) {
+      ok(err instanceof Prismic.Errors.NoMasterRefError);
+      start();
+    }, null, fakeRequestHandler(routes));
+  });
+
+  asyncTest('Setting an unknown field fails with an UnknownFormFieldError', 2, function() {
+    Prismic.Api('https://test.prismic.io/api', function(err, api) {
+      try {
+        api.form('everything').set('unknown', 'value');
+      } catch (e) {
+        ok(e instanceof Prismic.Errors.UnknownFormFieldError);
+        equal(e.field, 'unknown');
+      }
+      start();
+    }, null, fakeRequestHandler(defaultRoutes()));
+  });
+
+  asyncTest('A query refused by the API fails with an InvalidPredicateError', 3, function() {
+    var routes = defaultRoutes();
+    routes['https://test.prismic.io/api/documents/search'] = function(url) {
+      return new Prismic.Errors.HttpError(400, url, '{"error":"unexpected token"}');
+    };
+    Prismic.Api('https://test.prismic.io/api', function(err, api) {
+      api.form('everything').ref(api.master()).query('wrongpredicate').submit(function(err) {
+        ok(err instanceof Prismic.Errors.InvalidPredicateError);
+        equal(err.status, 400);
+        equal(err.body, '{"error":"unexpected token"}');
+        start();
+      });
+    }, null, fakeRequestHandler(routes));
+  });
+
+  asyncTest('Unexpected search results fail with a ParseError', 1, function() {
+    var routes = defaultRoutes();
+    routes['https://test.prismic.io/api/documents/search'] = { message: 'Not the search results' };
+    Prismic.Api('https://test.prismic.io/api', function(err, api) {
+      api.form('everything').ref(api.master()).submit(function(err) {
+        ok(err instanceof Prismic.Errors.ParseError);
+        start();
+      });
+    }, null, fakeRequestHandler(routes));
+  });
+
+  /***********/
+  /* Retries */
+  /***********/
+
+  var failingRoutes = function(failures, error) {
+    var routes = defaultRoutes();
+    var api = routes['https://test.prismic.io/api'];
+    routes['https://test.prismic.io/api'] = function() {
+      return failures-- > 0 ? error : api;
+    };
+    return routes;
+  };
+
+  var httpError = function(status) {
+    var error = new Error('Unexpected status code [' + status + ']');
+    error.kind = 'http';
+    error.status = status;
+    return error;
+  };
+
+  asyncTest('Requests are not retried without a retry policy', 2, function() {
+    var handler = fakeRequestHandler(failingRoutes(1, httpError(502)));
+    Prismic.Api('https://test.prismic.io/api', function(err) {
+      equal(err.status, 502);
+      equal(handler.requests.length, 1);
+      start();
+    }, null, handler);
+  });
+
+  asyncTest('Transient failures are retried with the retry policy', 3, function() {
+    var handler = fakeRequestHandler(failingRoutes(2, httpError(502)));
+    Prismic.Api('https://test.prismic.io/api', function(err, api) {
+      equal(err, null);
+      equal(api.master(), 'UlfoxUnM08QWYXdl');
+      equal(handler.requests.length, 3);
+      start();
+    }, null, handler, null, { retry: { baseDelay: 1 } });
+  });
+
+  asyncTest('Retries stop after maxAttempts', 2, function() {
+    var timeout = new Error('Request timeout');
+    timeout.kind = 'timeout';
+    var handler = fakeRequestHandler(failingRoutes(5, timeout));
+    Prismic.Api('https://test.prismic.io/api', function(err) {
+      equal(err.kind, 'timeout');
+      equal(handler.requests.length, 2);
+      start();
+    }, null, handler, null, { retry: { maxAttempts: 2, baseDelay: 1 } });
+  });
+
+  asyncTest('Failures that are not transient are not retried', 2, function() {
+    var handler = fakeRequestHandler(failingRoutes(1, httpError(404)));
+    Prismic.Api('https://test.prismic.io/api', function(err) {
+      equal(err.status, 404);
+      equal(handler.requests.length, 1);
+      start();
+    }, null, handler, null, { retry: true });
+  });
+
+  asyncTest('Retries honor the Retry-After header', 2, function() {
+    var attempts = [];
+    var handler = function(url, callback) {
+      attempts.push(Date.now());
+      if (attempts.length == 1) {
+        callback(httpError(503), null, { headers: { 'retry-after': '1' } });
+      } else {
+        callback(null, JSON.parse(JSON.stringify(apiDocument)), {});
+      }
+    };
+    Prismic.Api('https://test.prismic.io/api', function(err) {
+      equal(err, null);
+      ok(attempts[1] - attempts[0] >= 900);
+      start();
+    }, null, handler, null, { retry: { baseDelay: 1 } });
+  });
+
+  asyncTest('Requests are not retried when Retry-After is longer than maxDelay', 2, function() {
+    var attempts = 0;
+    var handler = function(url, callback) {
+      attempts++;
+      callback(httpError(503), null, { headers: { 'retry-after': '86400' } });
+    };
+    Prismic.Api('https://test.prismic.io/api', function(err) {
+      equal(err.status, 503);
+      equal(attempts, 1);
+      start();
+    }, null, handler, null, { retry: { maxDelay: 1000 } });
+  });
+
+  // An AbortSignal for the browsers and Node versions that have none
+  var fakeSignal = function() {
+    var signal = {
+      aborted: false,
+      listeners: [],
+      addEventListener: function(event, listener) { signal.listeners.push(listener); },
+      removeEventListener: function(event, listener) {
+        var index = signal.listeners.indexOf(listener);
+        if (index > -1) {
+          signal.listeners.splice(index, 1);
+        }
+      },
+      abort: function() {
+        signal.aborted = true;
+        signal.listeners.slice().forEach(function(listener) { listener(); });
+      }
+    };
+    return signal;
+  };
+
+  asyncTest('The abort signal cancels the pending retry', 3, function() {
+    var signal = fakeSignal();
+    var attempts = 0;
+    var handler = function(url, callback) {
+      attempts++;
+      callback(httpError(503), null, {});
+      setTimeout(signal.abort, 0);
+    };
+    Prismic.Api('https://test.prismic.io/api', function(err) {
+      equal(err.kind, 'abort');
+      equal(attempts, 1);
+      equal(signal.listeners.length, 0);
+      start();
+    }, null, handler, null, { signal: signal, retry: { baseDelay: 1000 } });
+  });
+
+  asyncTest('The abort listeners are removed once the requests are over', 3, function() {
+    var signal = fakeSignal();
+    var failures = 2;
+    withFakeXhr(function(xhr) {
+      xhr.readyState = 4;
+      xhr.status = failures-- > 0 ? 503 : 200;
+      xhr.responseText = JSON.stringify(apiDocument);
+      xhr.onreadystatechange();
+    }, function(requests, done) {
+      Prismic.Api('https://test.prismic.io/api', function(err) {
+        equal(err, null);
+        equal(requests.sent().length, 3);
+        equal(signal.listeners.length, 0);
+        done();
+      }, null, null, null, { signal: signal, retry: { baseDelay: 1 } });
+    });
+  });
+
+  asyncTest('SearchForm.submit retries transient failures', 2, function() {
+    var failures = 1;
+    var routes = defaultRoutes();
+    routes['https://test.prismic.io/api/documents/search'] = function() {
+      return failures-- > 0 ? httpError(500) : searchResponse(1, 1, []);
+    };
+    var handler = fakeRequestHandler(routes);
+    Prismic.Api('https://test.prismic.io/api', function(err, api) {
+      api.form('everything').ref(api.master()).submit(function(err, response) {
+        equal(response.page, 1);
+        equal(handler.requests.length, 3);
+        start();
+      });
+    }, null, handler, null, { retry: { baseDelay: 1 } });
+  });
+
+  /**************/
+  /* Predicates */
+  /**************/
+
+  test('Predicates are serialized in the query syntax', function() {
+    var P = Prismic.Predicates;
+    equal(P.at('document.type', 'product').toString(), '[:d = at(document.type, "product")]');
+    equal(P.any('document.tags', ['Macaron', 'Cupcake']).toString(), '[:d = any(document.tags, ["Macaron","Cupcake"])]');
+    equal(P.fulltext('document', 'say "hello" \\o/').toString(), '[:d = fulltext(document, "say \\"hello\\" \\\\o/")]');
+    equal(P.similar('UlfoxUnM0wkXYXbX', 10).toString(), '[:d = similar("UlfoxUnM0wkXYXbX", 10)]');
+    equal(P.number.gt('my.product.price', 10).toString(), '[:d = number.gt(my.product.price, 10)]');
+    equal(P.number.lt('my.product.price', 20.5).toString(), '[:d = number.lt(my.product.price, 20.5)]');
+    equal(P.number.inRange('my.product.price', 10, 20).toString(), '[:d = number.inRange(my.product.price, 10, 20)]');
+    equal(P.date.before('my.blog-post.date', new Date(1402936200000)).toString(), '[:d = date.before(my.blog-post.date, 1402936200000)]');
+    equal(P.date.after('my.blog-post.date', '2014-06-18').toString(), '[:d = date.after(my.blog-post.date, "2014-06-18")]');
+    equal(P.date.between('my.blog-post.date', 1000, 2000).toString(), '[:d = date.between(my.blog-post.date, 1000, 2000)]');
+    equal(P.geopoint.near('my.store.location', 48.87, 2.33, 10).toString(), '[:d = geopoint.near(my.store.location, 48.87, 2.33, 10)]');
+  });
+
+  test('Predicates reject invalid arguments', function() {
+    var P = Prismic.Predicates;
+    throws(function() { P.at(undefined, 'product'); });
+    throws(function() { P.any('document.type', 'product'); });
+    throws(function() { P.number.gt('my.product.price', '10'); });
+    throws(function() { P.geopoint.near('my.store.location', 48.87, 2.33); });
+  });
+
+  asyncTest('SearchForm.query accepts predicates', 3, function() {
+    var handler = fakeRequestHandler(defaultRoutes());
+    Prismic.Api('https://test.prismic.io/api', function(err, api) {
+      var P = Prismic.Predicates;
+      var form = api.form('everything').ref(api.master());
+      form.query(P.at('document.type', 'product'), P.number.lt('my.product.price', 4));
+      equal(form.data.q[0], '[[:d = at(document.type, "product")][:d = number.lt(my.product.price, 4)]]');
+      form.query([P.fulltext('document', 'chocolate')]);
+      equal(form.data.q[1], '[[:d = fulltext(document, "chocolate")]]');
+      form.submit(function() {
+        equal(handler.requests[1].indexOf('q=' + encodeURIComponent('[[:d = at(document.type, "product")][:d = number.lt(my.product.price, 4)]]')) > -1, true);
+        start();
+      });
+    }, null, handler);
+  });
+
+  /**************/
+  /* Pagination */
+  /**************/
+
+  var paginatedRoutes = function(totalPages) {
+    var routes = defaultRoutes();
+    routes['https://test.prismic.io/api/documents/search'] = function(url) {
+      var page = parseInt(/[?&]page=(\d+)/.exec(url)[1], 10);
+      return searchResponse(page, totalPages, [
+        { id: 'p' + page + 'd1', type: 'product', data: { product: {} } },
+        { id: 'p' + page + 'd2', type: 'product', data: { product: {} } }
+      ]);
+    };
+    return routes;
+  };
+
+  asyncTest('SearchForm.each follows the pages until the results run out', 3, function() {
+    var handler = fakeRequestHandler(paginatedRoutes(3));
+    Prismic.Api('https://test.prismic.io/api', function(err, api) {
+      var ids = [];
+      var form = api.form('everything').ref(api.master());
+      form.each(function(doc) {
+        ids.push(doc.id);
+      }, function(err) {
+        equal(err, null);
+        equal(ids.join(','), 'p1d1,p1d2,p2d1,p2d2,p3d1,p3d2');
+        equal(form.data.page[0], '1');
+        start();
+      });
+    }, null, handler);
+  });
+
+  asyncTest('SearchForm.each stops when onDoc returns false', 2, function() {
+    var handler = fakeRequestHandler(paginatedRoutes(3));
+    Prismic.Api('https://test.prismic.io/api', function(err, api) {
+      var ids = [];
+      api.form('everything').ref(api.master()).each(function(doc) {
+        ids.push(doc.id);
+        return doc.id !== 'p2d1';
+      }, function() {
+        equal(ids.join(','), 'p1d1,p1d2,p2d1');
+        equal(handler.requests.length, 3);
+        start();
+      });
+    }, null, handler);
+  });
+
+  asyncTest('SearchForm.all honors maxPages', 2, function() {
+    var handler = fakeRequestHandler(paginatedRoutes(10));
+    Prismic.Api('https://test.prismic.io/api', function(err, api) {
+      api.form('everything').ref(api.master()).page(2).maxPages(2).all(function(err, docs) {
+        equal(err, null);
+        equal(docs.map(function(doc) { return doc.id; }).join(','), 'p2d1,p2d2,p3d1,p3d2');
+        start();
+      });
+    }, null, handler);
+  });
+
+  asyncTest('SearchForm.all passes the request error', 1, function() {
+    var routes = defaultRoutes();
+    routes['https://test.prismic.io/api/documents/search'] = new Error('Unexpected status code [500]');
+    Prismic.Api('https://test.prismic.io/api', function(err, api) {
+      api.form('everything').ref(api.master()).all(function(err) {
+        equal(err.message, 'Unexpected status code [500]');
+        start();
+      });
+    }, null, fakeRequestHandler(routes));
+  });
+
+  if (typeof Promise !== 'undefined' && typeof Symbol !== 'undefined' && Symbol.asyncIterator) {
+    asyncTest('SearchForm is async iterable', 1, function() {
+      var handler = fakeRequestHandler(paginatedRoutes(2));
+      Prismic.Api('https://test.prismic.io/api', function(err, api) {
+        var iterator = api.form('everything').ref(api.master())[Symbol.asyncIterator]();
+        var ids = [];
+        (function next() {
+          iterator.next().then(function(item) {
+            if (item.done) {
+              equal(ids.join(','), 'p1d1,p1d2,p2d1,p2d2');
+              start();
+            } else {
+              ids.push(item.value.id);
+              next();
+            }
+          });
+        })();
+      }, null, handler);
+    });
+  }
+
+  /************/
+  /*  Cache   */
+  /************/
+
+  var fakeStorage = function() {
+    var items = {};
+    return {
+      getItem: function(key) { return items.hasOwnProperty(key) ? items[key] : null; },
+      setItem: function(key, value) { items[key] = String(value); },
+      removeItem: function(key) { delete items[key]; },
+      key: function(i) { return Object.keys(items)[i]; },
+      get length() { return Object.keys(items).length; }
+    };
+  };
+
+  test('LRUCache evicts the least recently used entries', function() {
+    var cache = new Prismic.Cache.LRUCache(2);
+    cache.set('a', 1);
+    cache.set('b', 2);
+    equal(cache.get('a'), 1);
+    cache.set('c', 3);
+    equal(cache.get('b'), null);
+    equal(cache.get('a'), 1);
+    equal(cache.get('c'), 3);
+    cache.remove('a');
+    equal(cache.get('a'), null);
+    cache.clear();
+    equal(cache.get('c'), null);
+  });
+
+  test('LRUCache expires entries after their ttl', function() {
+    var cache = new Prismic.Cache.LRUCache();
+    cache.set('expired', 1, -1);
+    cache.set('forever', 2);
+    equal(cache.get('expired'), null);
+    equal(cache.get('forever'), 2);
+    deepEqual(cache.keys, ['forever']);
+  });
+
+  test('LocalStorageCache stores JSON entries under its prefix', function() {
+    var storage = fakeStorage();
+    storage.setItem('other', 'kept');
+    var cache = new Prismic.Cache.LocalStorageCache('test:', storage);
+    cache.set('a', {refs: []}, 5);
+    deepEqual(cache.get('a'), {refs: []});
+    deepEqual(new Prismic.Cache.LocalStorageCache('test:', storage).get('a'), {refs: []});
+    cache.set('expired', 1, -1);
+    equal(cache.get('expired'), null);
+    equal(storage.getItem('test:expired'), null);
+    storage.setItem('test:broken', '{');
+    equal(cache.get('broken'), null);
+    cache.clear();
+    equal(cache.get('a'), null);
+    equal(storage.getItem('other'), 'kept');
+  });
+
+  asyncTest('The /api document is cached in a storage passed as maybeApiCache', 3, function() {
+    var handler = fakeRequestHandler(defaultRoutes());
+    var storage = fakeStorage();
+    var cache = new Prismic.Cache.LocalStorageCache('prismic:', storage);
+    Prismic.Api('https://test.prismic.io/api', function() {
+      Prismic.Api('https://test.prismic.io/api', function(err, api) {
+        equal(api.master(), 'UlfoxUnM08QWYXdl');
+        equal(handler.requests.length, 1);
+        equal(storage.length, 1);
+        start();
+      }, null, handler, new Prismic.Cache.LocalStorageCache('prismic:', storage));
+    }, null, handler, cache);
+  });
+
+  asyncTest('Failed /api requests are not cached', 2, function() {
+    var routes = defaultRoutes();
+    var api = routes['https://test.prismic.io/api'];
+    routes['https://test.prismic.io/api'] = new Error('Unexpected status code [500]');
+    var handler = fakeRequestHandler(routes);
+    var cache = new Prismic.Cache.ApiCache();
+    Prismic.Api('https://test.prismic.io/api', function(err) {
+      equal(err.message, 'Unexpected status code [500]');
+      routes['https://test.prismic.io/api'] = api;
+      Prismic.Api('https://test.prismic.io/api', function(err, api) {
+        equal(api.master(), 'UlfoxUnM08QWYXdl');
+        start();
+      }, null, handler, cache);
+    }, null, handler, cache);
+  });
+
+  asyncTest('Custom caches implementing getOrSet still work', 2, function() {
+    var calls = [];
+    var cache = {
+      getOrSet: function(key, ttl, fvalue, done) {
+        calls.push(key);
+        fvalue(done);
+      }
+    };
+    Prismic.Api('https://test.prismic.io/api', function(err, api) {
+      equal(api.master(), 'UlfoxUnM08QWYXdl');
+      deepEqual(calls, ['https://test.prismic.io/api']);
+      start();
+    }, null, fakeRequestHandler(defaultRoutes()), cache);
+  });
+
+  asyncTest('Search results are cached according to Cache-Control', 3, function() {
+    var handler = fakeRequestHandler(defaultRoutes());
+    handler.headers['cache-control'] = 'max-age=60';
+    Prismic.Api('https://test.prismic.io/api', function(err, api) {
+      var form = api.form('everything').ref(api.master());
+      form.submit(function() {
+        form.submit(function(err, response) {
+          equal(response.page, 1);
+          equal(handler.requests.length, 2);
+          api.queryCache.clear();
+          form.submit(function() {
+            equal(handler.requests.length, 3);
+            start();
+          });
+        });
+      });
+    }, null, handler, null, { queryCache: new Prismic.Cache.LRUCache() });
+  });
+
+  asyncTest('Search results are cached apart from the /api document, and called back asynchronously', 4, function() {
+    var handler = fakeRequestHandler(defaultRoutes());
+    handler.headers['cache-control'] = 'max-age=60';
+    Prismic.Api('https://test.prismic.io/api', function(err, api) {
+      var form = api.form('everything').ref(api.master());
+      form.submit(function() {
+        var called = false;
+        form.submit(function() {
+          ok(called);
+          equal(handler.requests.length, 2);
+          ok(api.queryCache.exists(handler.requests[1]));
+          ok(!api.apiCache.exists(handler.requests[1]));
+          start();
+        });
+        called = true;
+      });
+    }, null, handler, null, { queryCache: new Prismic.Cache.LRUCache(10) });
+  });
+
+  asyncTest('Search results are shared by the Api objects created without a cache', 3, function() {
+    var handler = fakeRequestHandler(defaultRoutes());
+    handler.headers['cache-control'] = 'max-age=60';
+    var searches = function() {
+      return handler.requests.filter(function(url) { return url.indexOf('/documents/search') > -1; }).length;
+    };
+    // A ref of its own, so the results cached by the other tests don't get in the way
+    Prismic.Api('https://test.prismic.io/api', function(err, api) {
+      api.form('everything').ref('shared-ref').submit(function() {
+        Prismic.Api('https://test.prismic.io/api', function(err, other) {
+          ok(other.queryCache === api.queryCache);
+          other.form('everything').ref('shared-ref').submit(function(err, response) {
+            equal(response.page, 1);
+            equal(searches(), 1);
+            other.queryCache.clear();
+            start();
+          });
+        }, null, handler);
+      });
+    }, null, handler);
+  });
+
+  asyncTest('Search results go to the cache of the /api document by default', 2, function() {
+    var handler = fakeRequestHandler(defaultRoutes());
+    handler.headers['cache-control'] = 'max-age=60';
+    var cache = new Prismic.Cache.LRUCache(10);
+    Prismic.Api('https://test.prismic.io/api', function(err, api) {
+      api.form('everything').ref(api.master()).submit(function() {
+        ok(cache.get(handler.requests[1]));
+        ok(cache.get('https://test.prismic.io/api'));
+        start();
+      });
+    }, null, handler, cache);
+  });
+
+  asyncTest('Search results are cached by ref', 1, function() {
+    var handler = fakeRequestHandler(defaultRoutes());
+    handler.headers['cache-control'] = 'max-age=60';
+    Prismic.Api('https://test.prismic.io/api', function(err, api) {
+      api.form('everything').ref(api.master()).submit(function() {
+        api.form('everything').ref('other-ref').submit(function() {
+          equal(handler.requests.length, 3);
+          start();
+        });
+      });
+    }, null, handler, null, { queryCache: new Prismic.Cache.LRUCache() });
+  });
+
+  asyncTest('Search results are not cached without max-age', 1, function() {
+    var handler = fakeRequestHandler(defaultRoutes());
+    handler.headers['cache-control'] = 'no-cache';
+    Prismic.Api('https://test.prismic.io/api', function(err, api) {
+      var form = api.form('everything').ref(api.master());
+      form.submit(function() {
+        form.submit(function() {
+          equal(handler.requests.length, 3);
+          start();
+        });
+      });
+    }, null, handler);
+  });
+
+  /****************/
+  /*  Coalescing  */
+  /****************/
+
+  asyncTest('Concurrent /api requests sharing a cache share one network call', 3, function() {
+    var handler = fakeRequestHandler(defaultRoutes());
+    var cache = new Prismic.Cache.ApiCache();
+    var apis = [];
+    var done = function(err, api) {
+      apis.push(api);
+      if (apis.length == 2) {
+        equal(apis[0].master(), 'UlfoxUnM08QWYXdl');
+        equal(apis[1].master(), 'UlfoxUnM08QWYXdl');
+        equal(handler.requests.length, 1);
+        start();
+      }
+    };
+    Prismic.Api('https://test.prismic.io/api', done, null, handler, cache);
+    Prismic.Api('https://test.prismic.io/api', done, null, handler, cache);
+  });
+
+  asyncTest('Api objects with other request handlers do not share their requests', 2, function() {
+    var handlerA = fakeRequestHandler(defaultRoutes());
+    var handlerB = fakeRequestHandler(defaultRoutes());
+    var pending = 2;
+    var done = function() {
+      if (--pending === 0) {
+        equal(handlerA.requests.length, 1);
+        equal(handlerB.requests.length, 1);
+        start();
+      }
+    };
+    Prismic.Api('https://test.prismic.io/api', done, null, handlerA, null, { headers: { Authorization: 'userA' } });
+    Prismic.Api('https://test.prismic.io/api', done, null, handlerB, null, { headers: { Authorization: 'userB' } });
+  });
+
+  asyncTest('Api objects with the same request handler and headers share their requests', 2, function() {
+    var handler = fakeRequestHandler(defaultRoutes());
+    var pending = 2;
+    var done = function(err, api) {
+      if (--pending === 0) {
+        equal(api.master(), 'UlfoxUnM08QWYXdl');
+        equal(handler.requests.length, 1);
+        start();
+      }
+    };
+    Prismic.Api('https://test.prismic.io/api', done, null, handler, null, { headers: { Authorization: 'user', 'X-App': 'a' } });
+    Prismic.Api('https://test.prismic.io/api', done, null, handler, null, { headers: { 'X-App': 'a', Authorization: 'user' } });
+  });
+
+  asyncTest('Api objects created without a request handler share their requests', 2, function() {
+    withFakeXhr(function(xhr) {
+      xhr.readyState = 4;
+      xhr.status = 200;
+      xhr.responseText = JSON.stringify(apiDocument);
+      xhr.onreadystatechange();
+    }, function(requests, done) {
+      var pending = 2;
+      var called = function(err, api) {
+        if (--pending === 0) {
+          equal(api.master(), 'UlfoxUnM08QWYXdl');
+          equal(requests.sent().length, 1);
+          done();
+        }
+      };
+      Prismic.Api('https://test.prismic.io/api', called);
+      Prismic.Api('https://test.prismic.io/api', called);
+    });
+  });
+
+  asyncTest('Api objects with other headers do not share their requests', 1, function() {
+    var handler = fakeRequestHandler(defaultRoutes());
+    var pending = 2;
+    var done = function() {
+      if (--pending === 0) {
+        equal(handler.requests.length, 2);
+        start();
+      }
+    };
+    Prismic.Api('https://test.prismic.io/api', done, null, handler, null, { headers: { Authorization: 'userA' } });
+    Prismic.Api('https://test.prismic.io/api', done, null, handler, null, { headers: { Authorization: 'userB' } });
+  });
+
+  test('A callback that throws does not keep the other callers waiting', function() {
+    var cache = new Prismic.Cache.ApiCache();
+    var calls = [];
+    var respond;
+    cache.getOrSet('key', 0, function(callback) { respond = callback; }, function() {
+      calls.push('first');
+      throw new Error('Failing callback');
+    });
+    cache.getOrSet('key', 0, null, function(err, value) {
+      calls.push(value);
+    });
+    throws(function() {
+      respond(null, 'value');
+    }, /Failing callback/);
+    deepEqual(calls, ['first', 'value']);
+  });
+
+  asyncTest('Concurrent identical queries share one network call and its error', 3, function() {
+    var routes = defaultRoutes();
+    var handler = fakeRequestHandler(routes);
+    Prismic.Api('https://test.prismic.io/api', function(err, api) {
+      routes['https://test.prismic.io/api/documents/search'] = new Error('Unexpected status code [500]');
+      var errors = [];
+      var failed = function(err) {
+        errors.push(err.message);
+        if (errors.length == 2) {
+          equal(errors[0], 'Unexpected status code [500]');
+          equal(errors[1], 'Unexpected status code [500]');
+          equal(handler.requests.length, 2);
+          start();
+        }
+      };
+      api.form('everything').ref(api.master()).submit(failed);
+      api.form('everything').ref(api.master()).submit(failed);
+    }, null, handler);
+  });
+
+  asyncTest('Different queries are not coalesced', 1, function() {
+    var handler = fakeRequestHandler(defaultRoutes());
+    Prismic.Api('https://test.prismic.io/api', function(err, api) {
+      var pending = 2;
+      var done = function() {
+        if (--pending === 0) {
+          equal(handler.requests.length, 3);
+          start();
+        }
+      };
+      api.form('everything').ref(api.master()).page(1).submit(done);
+      api.form('everything').ref(api.master()).page(2).submit(done);
+    }, null, handler);
+  });
+
+  /*********************/
+  /*  Stale /api data  */
+  /*********************/
+
+  var apiDocumentWithMaster = function(ref) {
+    var api = JSON.parse(JSON.stringify(apiDocument));
+    api.refs[0].ref = ref;
+    return api;
+  };
+
+  asyncTest('The /api document is cached for apiTtl seconds', 1, function() {
+    var handler = fakeRequestHandler(defaultRoutes());
+    var cache = new Prismic.Cache.LRUCache();
+    Prismic.Api('https://test.prismic.io/api', function() {
+      ok(cache.entries['https://test.prismic.io/api'].expiredIn > Date.now() + 55000);
+      start();
+    }, null, handler, cache, { apiTtl: 60 });
+  });
+
+  asyncTest('The /api document is fetched on every call with an apiTtl of 0', 2, function() {
+    var handler = fakeRequestHandler(defaultRoutes());
+    var cache = new Prismic.Cache.LRUCache();
+    Prismic.Api('https://test.prismic.io/api', function(err, api) {
+      api.get(function() {
+        equal(handler.requests.length, 2);
+        ok(!cache.get('https://test.prismic.io/api'));
+        start();
+      });
+    }, null, handler, cache, { apiTtl: 0 });
+  });
+
+  asyncTest('staleWhileRevalidate serves the expired /api document while refreshing it', 4, function() {
+    var routes = defaultRoutes();
+    var handler = fakeRequestHandler(routes);
+    var cache = new Prismic.Cache.ApiCache();
+    var options = { staleWhileRevalidate: true };
+    Prismic.Api('https://test.prismic.io/api', function() {
+      cache.remove('https://test.prismic.io/api');
+      routes['https://test.prismic.io/api'] = apiDocumentWithMaster('NewMaster');
+      Prismic.Api('https://test.prismic.io/api', function(err, api) {
+        equal(api.master(), 'UlfoxUnM08QWYXdl');
+        equal(handler.requests.length, 2);
+        ok(cache.isInProgress('https://test.prismic.io/api'));
+        setTimeout(function() {
+          Prismic.Api('https://test.prismic.io/api', function(err, api) {
+            equal(api.master(), 'NewMaster');
+            start();
+          }, null, handler, cache, options);
+        }, 10);
+      }, null, handler, cache, options);
+    }, null, handler, cache, options);
+  });
+
+  asyncTest('staleWhileRevalidate passes the failures of the background refresh to the error listeners', 2, function() {
+    var routes = defaultRoutes();
+    var handler = fakeRequestHandler(routes);
+    var cache = new Prismic.Cache.ApiCache();
+    var options = { staleWhileRevalidate: true };
+    Prismic.Api('https://test.prismic.io/api', function() {
+      cache.remove('https://test.prismic.io/api');
+      routes['https://test.prismic.io/api'] = new Error('Unexpected status code [503]');
+      Prismic.Api('https://test.prismic.io/api', function(err, api) {
+        equal(api.master(), 'UlfoxUnM08QWYXdl');
+        api.on('error', function(err) {
+          equal(err.message, 'Unexpected status code [503]');
+          start();
+        });
+      }, null, handler, cache, options);
+    }, null, handler, cache, options);
+  });
+
+  asyncTest('staleIfError serves the expired /api document when the refresh fails', 2, function() {
+    var routes = defaultRoutes();
+    var handler = fakeRequestHandler(routes);
+    var cache = new Prismic.Cache.ApiCache();
+    Prismic.Api('https://test.prismic.io/api', function() {
+      cache.remove('https://test.prismic.io/api');
+      routes['https://test.prismic.io/api'] = new Error('Unexpected status code [503]');
+      Prismic.Api('https://test.prismic.io/api', function(err, api) {
+        equal(api.master(), 'UlfoxUnM08QWYXdl');
+        Prismic.Api('https://test.prismic.io/api', function(err) {
+          equal(err.message, 'Unexpected status code [503]');
+          start();
+        }, null, handler, cache);
+      }, null, handler, cache, { staleIfError: true });
+    }, null, handler, cache, { staleIfError: true });
+  });
+
+  asyncTest('staleIfError in seconds stops serving documents that expired too long ago', 1, function() {
+    var routes = defaultRoutes();
+    var handler = fakeRequestHandler(routes);
+    var cache = new Prismic.Cache.ApiCache();
+    var options = { staleIfError: 30 };
+    Prismic.Api('https://test.prismic.io/api', function() {
+      cache.remove('https://test.prismic.io/api');
+      cache.get('https://test.prismic.io/api#stale').expiredAt -= 60000;
+      routes['https://test.prismic.io/api'] = new Error('Unexpected status code [503]');
+      Prismic.Api('https://test.prismic.io/api', function(err) {
+        equal(err.message, 'Unexpected status code [503]');
+        start();
+      }, null, handler, cache, options);
+    }, null, handler, cache, options);
+  });
+
+  /*****************/
+  /*  Ref changes  */
+  /*****************/
+
+  asyncTest('get() fires masterChanged and refsChanged when the refs change', 5, function() {
+    var routes = defaultRoutes();
+    var handler = fakeRequestHandler(routes);
+    var cache = new Prismic.Cache.ApiCache();
+    Prismic.Api('https://test.prismic.io/api', function(err, api) {
+      api.on('masterChanged', function(oldRef, newRef) {
+        equal(oldRef.ref, 'UlfoxUnM08QWYXdl');
+        equal(newRef.ref, 'NewMaster');
+      });
+      api.on('refsChanged', function(added, removed) {
+        deepEqual(added.map(function(r) { return r.ref; }), ['NewMaster']);
+        deepEqual(removed.map(function(r) { return r.ref; }), ['UlfoxUnM08QWYXdl']);
+      });
+      cache.remove('https://test.prismic.io/api');
+      routes['https://test.prismic.io/api'] = apiDocumentWithMaster('NewMaster');
+      api.get(function(err, api) {
+        equal(api.master(), 'NewMaster');
+        start();
+      });
+    }, null, handler, cache);
+  });
+
+  test('A listener that throws keeps neither the get() callback nor the other listeners from being called', 3, function() {
+    var master = 'UlfoxUnM08QWYXdl';
+    var thrown = null;
+    // Responds synchronously, so what the listener throws can be caught here
+    var handler = function(url, callback) {
+      try {
+        callback(null, apiDocumentWithMaster(master), {});
+      } catch (e) {
+        thrown = e;
+      }
+    };
+    var api = Prismic.Api('https://test.prismic.io/api', function() {}, null, handler, null, { apiTtl: 0 });
+    var called = [];
+    api.on('masterChanged', function() {
+      throw new Error('Failing listener');
+    }).on('refsChanged', function() {
+      called.push('refsChanged');
+    });
+    master = 'NewMaster';
+    api.get(function(err, api) {
+      called.push(api.master());
+    });
+    deepEqual(called, ['NewMaster', 'refsChanged']);
+    equal(thrown && thrown.message, 'Failing listener');
+    equal(api.master(), 'NewMaster');
+  });
+
+  asyncTest('get() fires no event when the refs are the same', 1, function() {
+    var cache = new Prismic.Cache.ApiCache();
+    Prismic.Api('https://test.prismic.io/api', function(err, api) {
+      var fail = function() { ok(false, 'unexpected event'); };
+      api.on('masterChanged', fail).on('refsChanged', fail);
+      cache.remove('https://test.prismic.io/api');
+      api.get(function(err, api) {
+        equal(api.master(), 'UlfoxUnM08QWYXdl');
+        start();
+      });
+    }, null, fakeRequestHandler(defaultRoutes()), cache);
+  });
+
+  asyncTest('Polling fetches the /api document again and fires the events', 2, function() {
+    var routes = defaultRoutes();
+    var handler = fakeRequestHandler(routes);
+    Prismic.Api('https://test.prismic.io/api', function(err, api) {
+      routes['https://test.prismic.io/api'] = apiDocumentWithMaster('NewMaster');
+      api.on('masterChanged', function(oldRef, newRef) {
+        api.stopPolling();
+        equal(newRef.ref, 'NewMaster');
+        ok(handler.requests.length >= 2);
+        start();
+      });
+      api.startPolling(5);
+    }, null, handler, null, { apiTtl: 0.001 });
+  });
+
+  asyncTest('Polling failures are passed to the error listeners', 1, function() {
+    var routes = defaultRoutes();
+    Prismic.Api('https://test.prismic.io/api', function(err, api) {
+      routes['https://test.prismic.io/api'] = new Error('Unexpected status code [503]');
+      api.on('error', function(err) {
+        api.stopPolling();
+        equal(err.message, 'Unexpected status code [503]');
+        start();
+      });
+      api.startPolling(5);
+    }, null, fakeRequestHandler(routes), null, { apiTtl: 0.001 });
+  });
+
+  /**********/
+  /*  Refs  */
+  /**********/
+
+  var routesWithReleases = function() {
+    var routes = defaultRoutes();
+    var api = JSON.parse(JSON.stringify(apiDocument));
+    api.refs.push(
+      { id: 'christmas', ref: 'UlfoxUnM08QWYXdm', label: 'Christmas', scheduledAt: Date.UTC(2014, 11, 25) },
+      { id: 'draft', ref: 'UlfoxUnM08QWYXdn', label: 'Draft' },
+      { id: 'newyear', ref: 'UlfoxUnM08QWYXdo', label: 'New year', scheduledAt: Date.UTC(2015, 0, 1) },
+      { id: 'halloween', ref: 'UlfoxUnM08QWYXdp', label: 'Halloween', scheduledAt: Date.UTC(2014, 9, 31) }
+    );
+    routes['https://test.prismic.io/api'] = api;
+    return routes;
+  };
+
+  asyncTest('Refs can be listed and found by ID', 5, function() {
+    Prismic.Api('https://test.prismic.io/api', function(err, api) {
+      equal(api.refs().length, 5);
+      ok(api.refs()[0].isMaster);
+      equal(api.refById('draft').label, 'Draft');
+      equal(api.refById('unknown'), null);
+      equal(api.refById('christmas').scheduledDate().getTime(), Date.UTC(2014, 11, 25));
+      start();
+    }, null, fakeRequestHandler(routesWithReleases()));
+  });
+
+  asyncTest('Scheduled refs are sorted by date', 1, function() {
+    Prismic.Api('https://test.prismic.io/api', function(err, api) {
+      deepEqual(api.scheduledRefs().map(function(r) { return r.id; }), ['halloween', 'christmas', 'newyear']);
+      start();
+    }, null, fakeRequestHandler(routesWithReleases()));
+  });
+
+  asyncTest('refAt returns the release live at a given time', 4, function() {
+    Prismic.Api('https://test.prismic.io/api', function(err, api) {
+      equal(api.refAt(new Date(Date.UTC(2014, 0, 1))).id, 'master');
+      equal(api.refAt(new Date(Date.UTC(2014, 11, 24))).id, 'halloween');
+      equal(api.refAt(Date.UTC(2014, 11, 25)).id, 'christmas');
+      equal(api.refAt(Date.UTC(2016, 0, 1)).id, 'newyear');
+      start();
+    }, null, fakeRequestHandler(routesWithReleases()));
+  });
+
+  /*************/
+  /*  Preview  */
+  /*************/
+
+  var previewRoutes = function(mainDocument) {
+    var routes = defaultRoutes();
+    routes['https://test.prismic.io/previews/token'] = mainDocument ? { mainDocument: mainDocument } : {};
+    routes['https://test.prismic.io/api/documents/search'] = function(url) {
+      return searchResponse(1, 1, url.indexOf(encodeURIComponent(mainDocument)) > -1 ? [
+        { id: mainDocument, type: 'product', slugs: ['chocolate'], data: { product: {} } }
+      ] : []);
+    };
+    return routes;
+  };
+
+  var linkResolver = function(ctx, doc) {
+    return '/' + doc.type + '/' + doc.id + '/' + doc.slug + (ctx.ref ? '?preview' : '');
+  };
+
+  asyncTest('previewSession resolves the URL of the main document', 4, function() {
+    var handler = fakeRequestHandler(previewRoutes('UlfoxUnM0wkXYXbX'));
+    Prismic.Api('https://test.prismic.io/api', function(err, api) {
+      api.previewSession('https://test.prismic.io/previews/token', linkResolver, '/', function(err, session) {
+        equal(session.url, '/product/UlfoxUnM0wkXYXbX/chocolate?preview');
+        equal(session.ref, 'https://test.prismic.io/previews/token');
+        ok(/[?&]ref=https%3A%2F%2Ftest.prismic.io%2Fpreviews%2Ftoken/.test(handler.requests[2]));
+        ok(/[?&]q=/.test(handler.requests[2]));
+        start();
+      });
+    }, null, handler);
+  });
+
+  asyncTest('previewSession falls back on the default URL', 1, function() {
+    Prismic.Api('https://test.prismic.io/api', function(err, api) {
+      api.previewSession('https://test.prismic.io/previews/token', linkResolver, '/', function(err, session) {
+        equal(session.url, '/');
+        start();
+      });
+    }, null, fakeRequestHandler(previewRoutes(null)));
+  });
+
+  asyncTest('previewSession rejects tokens that are not on the host of the API', 3, function() {
+    var handler = fakeRequestHandler(defaultRoutes());
+    Prismic.Api('https://test.prismic.io/api', function(err, api) {
+      api.previewSession('http://169.254.169.254/latest/meta-data/', linkResolver, '/', function(err) {
+        ok(err instanceof Prismic.Errors.PrismicError);
+        api.previewSession('https://test.prismic.io.evil.com/previews/token', linkResolver, '/', function(err) {
+          ok(err instanceof Prismic.Errors.PrismicError);
+          equal(handler.requests.length, 1);
+          start();
+        });
+      });
+    }, null, handler);
+  });
+
+  asyncTest('previewSession passes the request error', 1, function() {
+    Prismic.Api('https://test.prismic.io/api', function(err, api) {
+      api.previewSession('https://test.prismic.io/previews/unknown', linkResolver, '/', function(err) {
+        equal(err.message, 'Unexpected status code [404] on URL https://test.prismic.io/previews/unknown');
+        start();
+      });
+    }, null, fakeRequestHandler(defaultRoutes()));
+  });
+
+  test('previewRef reads the preview ref from a cookie string', function() {
+    equal(Prismic.previewRef('a=b; io.prismic.preview=https%3A%2F%2Ftest.prismic.io%2Fpreviews%2Ftoken; c=d'), 'https://test.prismic.io/previews/token');
+    equal(Prismic.previewRef('io.prismic.preview="UlfoxUnM08QWYXdm"'), 'UlfoxUnM08QWYXdm');
+    equal(Prismic.previewRef('a=b'), null);
+    equal(Prismic.previewRef(''), null);
+    equal(Prismic.PREVIEW_COOKIE, 'io.prismic.preview');
+  });
+
+  /***********/
+  /*  OAuth  */
+  /***********/
+
+  var oauthRoutes = function() {
+    var routes = defaultRoutes();
+    var api = JSON.parse(JSON.stringify(apiDocument));
+    api.oauth_initiate = 'https://test.prismic.io/auth';
+    api.oauth_token = 'https://test.prismic.io/auth/token';
+    routes['https://test.prismic.io/api'] = api;
+    routes['https://test.prismic.io/auth/token'] = { access_token: 'MC5VbGZveFVuTTA4UVdZWGRs' };
+    return routes;
+  };
+
+  asyncTest('oauthAuthorizeUrl builds the authorization URL', 2, function() {
+    Prismic.Api('https://test.prismic.io/api', function(err, api) {
+      equal(api.oauthAuthorizeUrl({ clientId: 'my-app', redirectUri: 'https://my-app.com/callback', scope: 'master releases' }),
+        'https://test.prismic.io/auth?client_id=my-app&redirect_uri=https%3A%2F%2Fmy-app.com%2Fcallback&scope=master%20releases&response_type=code');
+      Prismic.Api('https://test.prismic.io/api', function(err, api) {
+        throws(function() {
+          api.oauthAuthorizeUrl({ clientId: 'my-app' });
+        }, Prismic.Errors.PrismicError);
+        start();
+      }, null, fakeRequestHandler(defaultRoutes()));
+    }, null, fakeRequestHandler(oauthRoutes()));
+  });
+
+  asyncTest('oauthAccessToken posts the authorization code', 5, function() {
+    var handler = fakeRequestHandler(oauthRoutes());
+    Prismic.Api('https://test.prismic.io/api', function(err, api) {
+      api.oauthAccessToken('the-code', { clientId: 'my-app', clientSecret: 's3cr3t', redirectUri: 'https://my-app.com/callback' }, function(err, accessToken) {
+        var options = handler.options[1];
+        equal(accessToken, 'MC5VbGZveFVuTTA4UVdZWGRs');
+        equal(options.method, 'POST');
+        equal(options.body, 'grant_type=authorization_code&code=the-code&redirect_uri=https%3A%2F%2Fmy-app.com%2Fcallback&client_id=my-app&client_secret=s3cr3t');
+        equal(options.headers['Content-Type'], 'application/x-www-form-urlencoded');
+        equal(options.headers['X-Custom'], 'kit');
+        start();
+      });
+    }, null, handler, null, { headers: { 'X-Custom': 'kit' } });
+  });
+
+  asyncTest('oauthAccessToken fails without an access token in the response', 1, function() {
+    var routes = oauthRoutes();
+    routes['https://test.prismic.io/auth/token'] = { error: 'invalid_grant' };
+    Prismic.Api('https://test.prismic.io/api', function(err, api) {
+      api.oauthAccessToken('the-code', { clientId: 'my-app', clientSecret: 's3cr3t', redirectUri: 'https://my-app.com/callback' }, function(err) {
+        ok(err instanceof Prismic.Errors.ParseError);
+        start();
+      });
+    }, null, fakeRequestHandler(routes));
+  });
+
+  /****************/
+  /*  POST forms  */
+  /****************/
+
+  var postFormRoutes = function(enctype) {
+    var routes = defaultRoutes();
+    var api = JSON.parse(JSON.stringify(apiDocument));
+    api.forms.everything.method = 'POST';
+    api.forms.everything.enctype = enctype;
+    routes['https://test.prismic.io/api'] = api;
+    return routes;
+  };
+
+  asyncTest('POST forms send their fields in a urlencoded body', 5, function() {
+    var handler = fakeRequestHandler(postFormRoutes('application/x-www-form-urlencoded'));
+    Prismic.Api('https://test.prismic.io/api', function(err, api) {
+      api.form('everything').ref(api.master()).query('[[:d = at(document.type, "product")]]').submit(function(err, response) {
+        var options = handler.options[1];
+        equal(response.page, 1);
+        equal(handler.requests[1], 'https://test.prismic.io/api/documents/search');
+        equal(options.method, 'POST');
+        equal(options.headers['Content-Type'], 'application/x-www-form-urlencoded');
+        equal(options.body, 'page=1&pageSize=20&ref=UlfoxUnM08QWYXdl&q=' + encodeURIComponent('[[:d = at(document.type, "product")]]'));
+        start();
+      });
+    }, null, handler);
+  });
+
+  asyncTest('POST forms send their fields in a JSON body', 2, function() {
+    var handler = fakeRequestHandler(postFormRoutes('application/json'));
+    Prismic.Api('https://test.prismic.io/api', function(err, api) {
+      api.form('everything').ref(api.master()).query('[[:d = at(document.type, "product")]]').submit(function() {
+        var options = handler.options[1];
+        equal(options.headers['Content-Type'], 'application/json');
+        deepEqual(JSON.parse(options.body), {
+          page: '1',
+          pageSize: '20',
+          ref: 'UlfoxUnM08QWYXdl',
+          q: ['[[:d = at(document.type, "product")]]']
+        });
+        start();
+      });
+    }, null, handler);
+  });
+
+  asyncTest('POST form results are not cached', 1, function() {
+    var handler = fakeRequestHandler(postFormRoutes('application/json'));
+    handler.headers['cache-control'] = 'max-age=60';
+    Prismic.Api('https://test.prismic.io/api', function(err, api) {
+      var form = api.form('everything').ref(api.master());
+      form.submit(function() {
+        form.submit(function() {
+          equal(handler.requests.length, 3);
+          start();
+        });
+      });
+    }, null, handler);
+  });
+
+  asyncTest('The Ajax request handler sends the method and the body', 4, function() {
+    var routes = postFormRoutes('application/x-www-form-urlencoded');
+    withFakeXhr(function(xhr) {
+      xhr.readyState = 4;
+      xhr.status = 200;
+      xhr.responseText = JSON.stringify(routes[xhr.url]);
+      xhr.onreadystatechange();
+    }, function(requests, done) {
+      Prismic.Api('https://test.prismic.io/api', function(err, api) {
+        api.form('everything').ref(api.master()).submit(function(err, response) {
+          var xhr = requests.sent()[1];
+          equal(response.page, 1);
+          equal(xhr.method, 'POST');
+          equal(xhr.body, 'page=1&pageSize=20&ref=UlfoxUnM08QWYXdl');
+          equal(xhr.headers['Content-Type'], 'application/x-www-form-urlencoded');
+          done();
+        });
+      });
+    });
+  });
+
+  /*********************/
+  /*  Form validation  */
+  /*********************/
+
+  var booleanFieldRoutes = function() {
+    var routes = defaultRoutes();
+    var api = JSON.parse(JSON.stringify(apiDocument));
+    api.forms.everything.fields.fetchLinks = { type: 'Boolean', multiple: false };
+    routes['https://test.prismic.io/api'] = api;
+    return routes;
+  };
+
+  asyncTest('SearchForm.set coerces values to the type of the field', 5, function() {
+    Prismic.Api('https://test.prismic.io/api', function(err, api) {
+      var form = api.form('everything').pageSize(50).page(' 3 ').ref(api.master()).set('fetchLinks', true);
+      deepEqual(form.data.pageSize, ['50']);
+      deepEqual(form.data.page, ['3']);
+      deepEqual(form.data.fetchLinks, ['true']);
+      form.query(Prismic.Predicates.at('document.type', 'product'));
+      deepEqual(form.data.q, ['[[:d = at(document.type, "product")]]']);
+      form.set('orderings', 12);
+      deepEqual(form.data.orderings, ['12']);
+      start();
+    }, null, fakeRequestHandler(booleanFieldRoutes()));
+  });
+
+  asyncTest('SearchForm.set rejects values that do not match the type of the field', 8, function() {
+    Prismic.Api('https://test.prismic.io/api', function(err, api) {
+      var form = api.form('everything');
+      throws(function() { form.pageSize('abc'); }, Prismic.Errors.InvalidFormFieldError);
+      throws(function() { form.page(-1); }, Prismic.Errors.InvalidFormFieldError);
+      throws(function() { form.page(1.5); }, Prismic.Errors.InvalidFormFieldError);
+      throws(function() { form.page(0); }, Prismic.Errors.InvalidFormFieldError);
+      throws(function() { form.pageSize('0'); }, Prismic.Errors.InvalidFormFieldError);
+      throws(function() { form.set('fetchLinks', 'yes'); }, Prismic.Errors.InvalidFormFieldError);
+      throws(function() { form.set('orderings', {}); }, Prismic.Errors.InvalidFormFieldError);
+      try {
+        form.pageSize('abc');
+      } catch (e) {
+        equal(e.message, 'Invalid value "abc" for the Integer field pageSize of the form everything');
+      }
+      start();
+    }, null, fakeRequestHandler(booleanFieldRoutes()));
+  });
+
+  asyncTest('SearchForm.describe exposes the fields of the form', 4, function() {
+    Prismic.Api('https://test.prismic.io/api', function(err, api) {
+      var description = api.form('everything').describe();
+      equal(description.id, 'everything');
+      equal(description.action, 'https://test.prismic.io/api/documents/search');
+      deepEqual(description.fields.page, { type: 'Integer', multiple: false, 'default': '1' });
+      description.fields.page.type = 'String';
+      equal(api.form('everything').describe().fields.page.type, 'Integer');
+      start();
+    }, null, fakeRequestHandler(defaultRoutes()));
+  });
+
+  /****************************/
+  /*  StructuredText images   */
+  /****************************/
+
+  var imageBlock = function(url, width, height, alt) {
+    return { type: 'image', url: url, alt: alt, dimensions: { width: width, height: height } };
+  };
+
+  var imagesDocument = function(callback) {
+    var routes = defaultRoutes();
+    var body = [
+      paragraph('An image:', []),
+      imageBlock('http://example.com/1.png', 640, 427, 'First'),
+      imageBlock('http://example.com/2.png', 800, 600, 'Second')
+    ];
+    body[2].views = { icon: { url: 'http://example.com/2-icon.png', alt: 'Second', dimensions: { width: 80, height: 60 } } };
+    routes['https://test.prismic.io/api/documents/search'] = searchResponse(1, 1, [{
+      id: 'UlfoxUnM0wkXYXbX',
+      type: 'article',
+      data: { article: {
+        body: { type: 'StructuredText', value: body },
+        text: { type: 'Text', value: 'No image' }
+      } }
+    }]);
+    Prismic.Api('https://test.prismic.io/api', function(err, api) {
+      api.form('everything').ref(api.master()).submit(function(err, response) {
+        callback(response.results[0]);
+      });
+    }, null, fakeRequestHandler(routes));
+  };
+
+  asyncTest('StructuredText.getImages returns the images of the image blocks', 5, function() {
+    imagesDocument(function(doc) {
+      var images = doc.getStructuredText('article.body').getImages();
+      equal(images.length, 2);
+      ok(images[0] instanceof Prismic.Fragments.Image);
+      equal(images[0].main.asHtml(), '<img src="http://example.com/1.png" width="640" height="427" alt="First">');
+      equal(images[1].getView('icon').width, 80);
+      equal(images[1].getView('main').alt, 'Second');
+      start();
+    });
+  });
+
+  asyncTest('Doc image accessors work with StructuredText fragments', 6, function() {
+    imagesDocument(function(doc) {
+      equal(doc.getImage('article.body').main.url, 'http://example.com/1.png');
+      equal(doc.getImage('article.text'), null);
+      deepEqual(doc.getAllImages('article.body').map(function(image) { return image.main.url; }), ['http://example.com/1.png', 'http://example.com/2.png']);
+      ok(doc.getImageView('article.body', 'main') instanceof Prismic.Fragments.ImageView);
+      equal(doc.getImageView('article.body', 'main').height, 427);
+      equal(doc.getImageView('article.body', 'icon'), null);
+      start();
+    });
+  });
+
+  /***********************/
+  /*  Responsive images  */
+  /***********************/
+
+  var responsiveImage = function() {
+    return Prismic.Fragments.initField({
+      type: 'Image',
+      value: {
+        main: { url: 'http://example.com/main.png', alt: 'Chocolate', dimensions: { width: 1000, height: 500 } },
+        views: {
+          mobile: { url: 'http://example.com/mobile.png', alt: 'Chocolate', dimensions: { width: 400, height: 200 } },
+          tablet: { url: 'http://example.com/tablet.png', alt: 'Chocolate', dimensions: { width: 700, height: 350 } },
+          square: { url: 'http://example.com/square.png', alt: 'Chocolate', dimensions: { width: 400, height: 400 } }
+        }
+      }
+    });
+  };
+
+  test('Image renders the main view by default', function() {
+    equal(responsiveImage().asHtml(), '<img src="http://example.com/main.png" width="1000" height="500" alt="Chocolate">');
+  });
+
+  test('Image renders a srcset of its views by width, with sizes', function() {
+    equal(responsiveImage().srcset(), 'http://example.com/mobile.png 400w, http://example.com/tablet.png 700w, http://example.com/main.png 1000w');
+    equal(responsiveImage().asHtml({ image: { srcset: true, sizes: '(max-width: 600px) 100vw, 50vw' } }),
+      '<img src="http://example.com/main.png"' +
+      ' srcset="http://example.com/mobile.png 400w, http://example.com/tablet.png 700w, http://example.com/main.png 1000w"' +
+      ' sizes="(max-width: 600px) 100vw, 50vw" width="1000" height="500" alt="Chocolate">');
+  });
+
+  test('Image renders lazy-loading attributes', function() {
+    equal(responsiveImage().asHtml({ image: { lazy: true } }),
+      '<img src="http://example.com/main.png" loading="lazy" decoding="async" width="1000" height="500" alt="Chocolate">');
+  });
+
+  test('Image renders a picture with breakpoints', function() {
+    var html = responsiveImage().asHtml({ image: { breakpoints: [
+      { media: '(max-width: 480px)', view: 'mobile' },
+      { media: '(max-width: 800px)', view: 'tablet' },
+      { media: '(max-width: 1200px)', view: 'unknown' }
+    ] } });
+    equal(html, '<picture>' +
+      '<source media="(max-width: 480px)" srcset="http://example.com/mobile.png">' +
+      '<source media="(max-width: 800px)" srcset="http://example.com/tablet.png">' +
+      '<img src="http://example.com/main.png" width="1000" height="500" alt="Chocolate">' +
+      '</picture>');
+  });
+
+  test('ImageView.transform resizes through the query string', function() {
+    var view = new Prismic.Fragments.ImageView('http://example.com/main.png?auto=compress&w=1000', 1000, 500, 'Chocolate');
+    var resized = view.transform({ width: 400, format: 'webp', quality: 80 });
+    equal(resized.url, 'http://example.com/main.png?auto=compress&w=400&fm=webp&q=80');
+    equal(resized.width, 400);
+    equal(resized.height, 200);
+    equal(resized.ratio(), view.ratio());
+    equal(resized.alt, 'Chocolate');
+    equal(view.url, 'http://example.com/main.png?auto=compress&w=1000');
+    equal(view.transform({ height: 100 }).width, 200);
+  });
+
+  test('ImageView.transform crops', function() {
+    var view = new Prismic.Fragments.ImageView('http://example.com/main.png#top', 1000, 500, 'Chocolate');
+    var cropped = view.transform({ crop: { x: 100, y: 0, width: 500, height: 500 }, width: 250, fit: 'crop' });
+    equal(cropped.url, 'http://example.com/main.png?rect=100%2C0%2C500%2C500&w=250&fit=crop#top');
+    equal(cropped.height, 250);
+    equal(cropped.ratio(), 1);
+  });
+
+  test('Image.bestView picks the smallest view covering the width', function() {
+    var image = responsiveImage();
+    equal(image.bestView(300).url, 'http://example.com/mobile.png');
+    equal(image.bestView(500).url, 'http://example.com/tablet.png');
+    equal(image.bestView(900).url, 'http://example.com/main.png');
+    equal(image.bestView(2000).url, 'http://example.com/main.png');
+    image.views.huge = new Prismic.Fragments.ImageView('http://example.com/huge.png', 3000, 1500, 'Chocolate');
+    equal(image.bestView(2000).url, 'http://example.com/huge.png');
+  });
+
+  /************/
+  /*  Embeds  */
+  /************/
+
+  var oembed = {
+    embed_url: 'https://www.youtube.com/watch?v=Ye78F3-CuXY',
+    type: 'video',
+    provider_name: 'YouTube',
+    title: 'Ganache & chocolate',
+    width: 459,
+    height: 344,
+    thumbnail_url: 'http://i1.ytimg.com/vi/Ye78F3-CuXY/hqdefault.jpg',
+    thumbnail_width: 480,
+    thumbnail_height: 360,
+    html: '<iframe width="459" height="344" src="http://www.youtube.com/embed/Ye78F3-CuXY"></iframe>'
+  };
+
+  test('Embed exposes the oEmbed metadata', function() {
+    var embed = Prismic.Fragments.initField({ type: 'Embed', value: { oembed: oembed } });
+    ok(embed instanceof Prismic.Fragments.Embed);
+    equal(embed.provider, 'YouTube');
+    equal(embed.type, 'video');
+    equal(embed.title, 'Ganache & chocolate');
+    equal(embed.width, 459);
+    equal(embed.height, 344);
+    equal(embed.url, 'https://www.youtube.com/watch?v=Ye78F3-CuXY');
+    equal(embed.thumbnail.url, 'http://i1.ytimg.com/vi/Ye78F3-CuXY/hqdefault.jpg');
+    equal(embed.thumbnail.width, 480);
+    equal(embed.asText(), 'Ganache & chocolate');
+  });
+
+  test('Embed renders the provider code in a div', function() {
+    var embed = Prismic.Fragments.initField({ type: 'Embed', value: { oembed: oembed } });
+    equal(embed.asHtml(), '<div data-oembed="https://www.youtube.com/watch?v=Ye78F3-CuXY" data-oembed-type="video" data-oembed-provider="youtube">' + oembed.html + '</div>');
+  });
+
+  test('Embed blocks of StructuredText have their class in the div', function() {
+    var fragment = Prismic.Fragments.initField({ type: 'StructuredText', value: [{ type: 'embed', label: 'wide', oembed: oembed }] });
+    equal(fragment.asHtml(), '<div data-oembed="https://www.youtube.com/watch?v=Ye78F3-CuXY" data-oembed-type="video" data-oembed-provider="youtube" class="wide">' + oembed.html + '</div>');
+  });
+
+  test('Embeds can be rendered as click-to-load placeholders', function() {
+    var embed = Prismic.Fragments.initField({ type: 'Embed', value: { oembed: oembed } });
+    equal(embed.asHtml({ embed: { clickToLoad: true } }),
+      '<div data-oembed="https://www.youtube.com/watch?v=Ye78F3-CuXY" data-oembed-type="video" data-oembed-provider="youtube"' +
+      ' data-oembed-click-to-load="&lt;iframe width=&quot;459&quot; height=&quot;344&quot; src=&quot;http://www.youtube.com/embed/Ye78F3-CuXY&quot;&gt;&lt;/iframe&gt;">' +
+      '<button type="button" class="oembed-placeholder"><img src="http://i1.ytimg.com/vi/Ye78F3-CuXY/hqdefault.jpg" alt="">' +
+      '<span class="oembed-title">Ganache &amp; chocolate</span><span class="oembed-load">Load content from YouTube</span></button></div>');
+    var fragment = Prismic.Fragments.initField({ type: 'StructuredText', value: [{ type: 'embed', oembed: oembed }] });
+    ok(fragment.asHtml({ embed: { clickToLoad: true, buttonText: 'Accept YouTube cookies' } }).indexOf('<span class="oembed-load">Accept YouTube cookies</span>') > -1);
+  });
+
+  test('The thumbnail of click-to-load placeholders can be left out or proxied', function() {
+    var embed = Prismic.Fragments.initField({ type: 'Embed', value: { oembed: oembed } });
+    equal(embed.asHtml({ embed: { clickToLoad: true, thumbnail: false } }).indexOf('<img'), -1);
+    var proxied = embed.asHtml({ embed: { clickToLoad: true, thumbnail: function(url, oembed) {
+      return '/thumbnails?url=' + encodeURIComponent(url) + '&provider=' + oembed.provider_name;
+    } } });
+    ok(proxied.indexOf('<img src="/thumbnails?url=http%3A%2F%2Fi1.ytimg.com%2Fvi%2FYe78F3-CuXY%2Fhqdefault.jpg&amp;provider=YouTube" alt="">') > -1);
+    equal(proxied.indexOf('ytimg.com/vi'), -1);
+  });
+
+  if (typeof document !== 'undefined' && document.createElement) {
+    test('activateEmbeds loads the provider code on click', function() {
+      var root = document.createElement('div');
+      root.innerHTML = Prismic.Fragments.initField({ type: 'Embed', value: { oembed: oembed } }).asHtml({ embed: { clickToLoad: true } });
+      equal(root.getElementsByTagName('iframe').length, 0);
+      Prismic.Fragments.activateEmbeds(root);
+      var click = document.createEvent('MouseEvents');
+      click.initMouseEvent('click', true, true, window, 0, 0, 0, 0, 0, false, false, false, false, 0, null);
+      root.getElementsByTagName('button')[0].dispatchEvent(click);
+      equal(root.getElementsByTagName('iframe').length, 1);
+      equal(root.firstChild.getAttribute('data-oembed-click-to-load'), null);
+    });
+  }
+
+  /***********/
+  /*  Dates  */
+  /***********/
+
+  test('Date renders the same day in every time zone', function() {
+    var date = Prismic.Fragments.initField({ type: 'Date', value: '2014-04-01' });
+    equal(date.asHtml(), '<time datetime="2014-04-01">2014-04-01</time>');
+    equal(date.asText({ timeZone: 'America/Los_Angeles' }), '2014-04-01');
+    equal(date.format('D/M/YY'), '1/4/14');
+    equal(date.format('[Published on] MMM D, YYYY'), 'Published on Apr 1, 2014');
+  });
+
+  test('Timestamp renders in UTC by default', function() {
+    var timestamp = Prismic.Fragments.initField({ type: 'Timestamp', value: '2014-06-18T15:30:00+0000' });
+    equal(timestamp.asHtml(), '<time datetime="2014-06-18T15:30:00.000Z">2014-06-18T15:30:00+00:00</time>');
+    equal(timestamp.format('h:mm A'), '3:30 PM');
+    equal(timestamp.asHtml({ timestampFormat: 'ddd D MMM [at] HH:mm' }), '<time datetime="2014-06-18T15:30:00.000Z">Wed 18 Jun at 15:30</time>');
+  });
+
+  test('Dates never throw while rendering', function() {
+    var invalid = Prismic.Fragments.initField({ type: 'Timestamp', value: 'not a date' });
+    equal(invalid.asHtml(), '');
+    equal(invalid.asText(), '');
+    var timestamp = Prismic.Fragments.initField({ type: 'Timestamp', value: '2014-06-18T15:30:00+0000' });
+    equal(timestamp.asText({ timeZone: 'Nowhere/Unknown' }), '2014-06-18T15:30:00+00:00');
+    equal(timestamp.format('MMMM', { locale: 'not a locale!' }), 'June');
+  });
+
+  if (typeof Intl !== 'undefined') {
+    test('Timestamp renders in the time zone and the locale of the ctx', function() {
+      var timestamp = Prismic.Fragments.initField({ type: 'Timestamp', value: '2014-06-18T22:30:00+0000' });
+      equal(timestamp.asText({ timeZone: 'Europe/Paris' }), '2014-06-19T00:30:00+02:00');
+      equal(timestamp.format('YYYY-MM-DD HH:mm Z', { timeZone: 'America/Los_Angeles' }), '2014-06-18 15:30 -07:00');
+      equal(timestamp.format('HH:mm Z', { timeZone: 'Asia/Kolkata' }), '04:00 +05:30');
+      equal(timestamp.format('dddd D MMMM', { timeZone: 'Europe/Paris', locale: 'en-US' }), 'Thursday 19 June');
+    });
+
+    test('Dates render the names of the locale of the ctx', function() {
+      var date = Prismic.Fragments.initField({ type: 'Date', value: '2014-04-01' });
+      equal(date.format('D MMMM YYYY', { locale: 'ru-RU' }), '1 апреля 2014');
+      equal(date.format('D MMMM YYYY', { locale: 'pl-PL' }), '1 kwietnia 2014');
+      equal(date.format('MMMM YYYY', { locale: 'pl-PL' }), 'kwiecień 2014');
+      equal(date.format('D MMMM', { locale: 'ja-JP' }), '1 4月');
+      equal(date.format('dddd D MMMM', { locale: 'fr-FR' }), 'mardi 1 avril');
+      var timestamp = Prismic.Fragments.initField({ type: 'Timestamp', value: '2014-06-18T22:30:00+0000' });
+      equal(timestamp.format('h:mm A', { locale: 'ja-JP' }), '10:30 午後');
+      equal(timestamp.format('h:mm A'), '10:30 PM');
+    });
+  }
 })(window.Prismic)